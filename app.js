@@ -13,6 +13,13 @@ const authRoutes = require("./routes/authRoutes");
 const userRoutes = require("./routes/userRoutes");
 const orderRoutes = require("./routes/orderRoutes");
 const pricingRoutes = require("./routes/pricingRoutes");
+const tutorRoutes = require("./routes/tutorRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const refundRoutes = require("./routes/refundRoutes");
+const tutorApplicationRoutes = require("./routes/tutorApplicationRoutes");
+const organizationRoutes = require("./routes/organizationRoutes");
+const couponRoutes = require("./routes/couponRoutes");
+const currencyRoutes = require("./routes/currencyRoutes");
 
 const errorHandler = require("./utils/errorHandler");
 
@@ -53,7 +60,15 @@ app.use(
 
 /* -------------------- BODY PARSERS -------------------- */
 
-app.use(express.json({ limit: "10mb" }));
+// Keep the raw body around for payment webhook signature checks
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+);
 app.use(express.urlencoded({ extended: true }));
 
 /* -------------------- SANITIZATION -------------------- */
@@ -77,6 +92,13 @@ app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/orders", orderRoutes);
 app.use("/api/v1/pricing", pricingRoutes);
+app.use("/api/v1/tutor", tutorRoutes);
+app.use("/api/v1/payments", paymentRoutes);
+app.use("/api/v1/refunds", refundRoutes);
+app.use("/api/v1/tutor-applications", tutorApplicationRoutes);
+app.use("/api/v1/organizations", organizationRoutes);
+app.use("/api/v1/coupons", couponRoutes);
+app.use("/api/v1/currencies", currencyRoutes);
 
 /* -------------------- HEALTH -------------------- */
 
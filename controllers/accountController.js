@@ -0,0 +1,168 @@
+/**
+ * Account Controller
+ * Handles personal data export and self-service account deletion
+ */
+
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const {
+  buildAccountExport,
+  streamAccountArchive,
+} = require("../utils/accountExport");
+const {
+  getGracePeriodDays,
+  countActiveOrders,
+} = require("../utils/accountDeletion");
+const { verifySecondFactor } = require("../utils/twoFactor");
+const { sendMail, clientUrl } = require("../utils/mailer");
+
+// @desc    Export my personal data
+// @route   GET /api/auth/me/export?format=json|zip
+// @access  Private
+const exportAccount = async (req, res) => {
+  try {
+    const data = await buildAccountExport(req.user._id);
+
+    if (req.query.format === "zip") {
+      return await streamAccountArchive(res, data);
+    }
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Export account error:", error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      error: "Server error exporting account data",
+    });
+  }
+};
+
+// @desc    Schedule my account for deletion
+// @route   DELETE /api/auth/me
+// @access  Private (recent sign-in)
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep",
+    );
+
+    if (user.deletionScheduledFor) {
+      return res.status(409).json({
+        success: false,
+        error: "Account deletion is already scheduled",
+      });
+    }
+
+    // Re-authenticate before doing something this destructive
+    const passwordOk = user.password
+      ? await user.comparePassword(req.body.password || "")
+      : true;
+    const secondFactorOk = user.twoFactor.enabled
+      ? verifySecondFactor(user, req.body)
+      : true;
+
+    if (!passwordOk || !secondFactorOk) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid password or verification code",
+      });
+    }
+
+    const activeOrders = await countActiveOrders(user._id);
+    if (activeOrders > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `You have ${activeOrders} active order(s). Cancel or complete them before deleting your account.`,
+      });
+    }
+
+    const graceDays = getGracePeriodDays();
+    user.deletionScheduledFor = new Date(
+      Date.now() + graceDays * 24 * 60 * 60 * 1000,
+    );
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record({
+      action: "user.deletion_scheduled",
+      actor: user._id,
+      targetUser: user._id,
+      ipAddress: req.ip,
+      metadata: { deletionScheduledFor: user.deletionScheduledFor },
+    });
+
+    try {
+      await sendMail({
+        to: user.email,
+        template: "accountDeletionScheduled",
+        data: {
+          user,
+          url: clientUrl("/settings/account"),
+          deletionDate: user.deletionScheduledFor.toDateString(),
+        },
+      });
+    } catch (mailError) {
+      console.error("Deletion scheduled email error:", mailError);
+    }
+
+    res.json({
+      success: true,
+      message: `Your account will be deleted in ${graceDays} days. Sign in and cancel before then to keep it.`,
+      data: {
+        deletionScheduledFor: user.deletionScheduledFor,
+      },
+    });
+  } catch (error) {
+    console.error("Request account deletion error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error scheduling account deletion",
+    });
+  }
+};
+
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/me/deletion/cancel
+// @access  Private
+const cancelAccountDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user.deletionScheduledFor) {
+      return res.status(400).json({
+        success: false,
+        error: "Account deletion is not scheduled",
+      });
+    }
+
+    user.deletionScheduledFor = null;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record({
+      action: "user.deletion_cancelled",
+      actor: user._id,
+      targetUser: user._id,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: "Account deletion cancelled",
+    });
+  } catch (error) {
+    console.error("Cancel account deletion error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error cancelling account deletion",
+    });
+  }
+};
+
+module.exports = {
+  exportAccount,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+};
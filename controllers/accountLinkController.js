@@ -0,0 +1,296 @@
+/**
+ * Account Link Controller
+ * Handles linking and unlinking sign-in methods (password and providers)
+ */
+
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const {
+  buildLinkIntent,
+  verifyLinkToken,
+  getSignInMethods,
+} = require("../utils/accountLinking");
+const { linkIdentity } = require("../utils/identities");
+const { getProvider } = require("../utils/identityProviders");
+const { issueChallengeToken } = require("../utils/twoFactor");
+const { createSession } = require("../utils/sessions");
+const { resolveRedirectTarget, startAuthorization } = require("../utils/oauth");
+
+// @desc    List my sign-in methods
+// @route   GET /api/auth/sign-in-methods
+// @access  Private
+const getMySignInMethods = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+
+    res.json({
+      success: true,
+      data: {
+        methods: getSignInMethods(user),
+      },
+    });
+  } catch (error) {
+    console.error("Get sign-in methods error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Start linking a provider to my account
+// @route   POST /api/auth/link/:provider { redirect_uri }
+// @access  Private
+const startLink = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: "Sign-in provider not found",
+      });
+    }
+
+    if (getSignInMethods(req.user).includes(provider.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${provider.displayName} account is already linked`,
+      });
+    }
+
+    const redirect = resolveRedirectTarget(req.body.redirect_uri);
+
+    if (!redirect) {
+      return res.status(400).json({
+        success: false,
+        error: "redirect_uri is not an allowed redirect target",
+      });
+    }
+
+    // The intent stays in the server-side OAuth state; the request must be
+    // sent with credentials so the browser gets the state nonce cookie
+    const url = await startAuthorization(req, res, provider, {
+      redirect,
+      intent: buildLinkIntent(req.user, provider.name),
+    });
+
+    // The client sends the browser here to complete the provider sign-in
+    res.json({
+      success: true,
+      data: {
+        url,
+      },
+    });
+  } catch (error) {
+    console.error("Start link error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Confirm linking a provider to an existing account found by email
+// @route   POST /api/auth/link/:provider/confirm
+// @access  Public (requires link token from the OAuth callback)
+const confirmLink = async (req, res) => {
+  try {
+    const link = verifyLinkToken(req.body.linkToken);
+
+    if (link.provider !== req.params.provider) {
+      return res.status(400).json({
+        success: false,
+        error: "Link token is for a different provider",
+      });
+    }
+
+    const user = await User.findById(link.id).select("+password");
+
+    if (
+      !user ||
+      !user.isActive ||
+      getSignInMethods(user).includes(link.provider)
+    ) {
+      return res.status(409).json({
+        success: false,
+        error: "This account can no longer be linked. Please sign in again.",
+      });
+    }
+
+    const owner = await User.findByIdentity(link.provider, link.subject);
+    if (owner) {
+      return res.status(409).json({
+        success: false,
+        error: "This account is already linked to another user",
+      });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid password",
+      });
+    }
+
+    // An admin has required a new password
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        error:
+          "You must reset your password before logging in. Check your email for a reset link or request a new one.",
+      });
+    }
+
+    await linkIdentity(user, link, {
+      source: "sign_in",
+      ipAddress: req.ip,
+    });
+
+    // Linking doesn't skip the second factor
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken(user, link.provider),
+        },
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const { token, refreshToken } = await createSession(
+      user,
+      req,
+      link.provider,
+    );
+
+    user.password = undefined;
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error("Confirm link error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Unlink a provider from my account (passwords can't be unlinked)
+// @route   DELETE /api/auth/link/:provider
+// @access  Private
+const unlink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+    const provider = req.params.provider;
+    const methods = getSignInMethods(user);
+
+    if (!methods.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: "No account from this provider is linked",
+      });
+    }
+
+    // Never leave the user without a way to sign in. A password counts as
+    // one, and it's never removed here: the route only takes provider names.
+    if (methods.length === 1) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "This is your only sign-in method. Set a password or link another account before unlinking it.",
+      });
+    }
+
+    user.removeIdentity(provider);
+    if (user.authProvider === provider) user.authProvider = "local";
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record({
+      action: "user.unlink_identity",
+      actor: user._id,
+      targetUser: user._id,
+      ipAddress: req.ip,
+      metadata: { provider },
+    });
+
+    res.json({
+      success: true,
+      message: "Account unlinked",
+      data: {
+        methods: getSignInMethods(user),
+      },
+    });
+  } catch (error) {
+    console.error("Unlink error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Add a password to an account that doesn't have one
+// @route   POST /api/auth/password/set
+// @access  Private (recent sign-in)
+const setPassword = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (user.password) {
+      return res.status(409).json({
+        success: false,
+        error:
+          "Your account already has a password. Use change password instead.",
+      });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    await AuditLog.record({
+      action: "user.set_password",
+      actor: user._id,
+      targetUser: user._id,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: "Password set. You can now sign in with your email.",
+      data: {
+        methods: getSignInMethods(user),
+      },
+    });
+  } catch (error) {
+    console.error("Set password error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+module.exports = {
+  getMySignInMethods,
+  startLink,
+  confirmLink,
+  unlink,
+  setPassword,
+};
@@ -4,15 +4,47 @@
  */
 
 const User = require("../models/User");
-const { generateToken } = require("../middleware/auth");
+const Session = require("../models/Session");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/sessions");
 const crypto = require("crypto");
+const { sendMail, clientUrl } = require("../utils/mailer");
+const { issueChallengeToken } = require("../utils/twoFactor");
+const { autoJoinOrganization } = require("../utils/organizations");
+
+const RESET_PASSWORD_EXPIRE_MINUTES = 10;
+
+/**
+ * Issue a fresh verification token and email the link to the user
+ * @param {Object} user - User document (saved by this function)
+ */
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    template: "verifyEmail",
+    data: {
+      user,
+      url: clientUrl(`/verify-email/${verificationToken}`),
+      expiresInHours: Math.round(
+        (user.emailVerificationExpire - Date.now()) / (60 * 60 * 1000),
+      ),
+    },
+  });
+};
 
 // @desc    Register new user
 // @route   POST /api/auth/register
 // @access  Public
 const register = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, role } = req.body;
+    const { firstName, lastName, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -29,22 +61,32 @@ const register = async (req, res) => {
       lastName,
       email,
       password,
-      role,
+      role: "student",
       authProvider: "local",
       isVerified: false,
     });
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Registration succeeds even if the email can't be sent; user can resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Verification email error:", mailError);
+    }
+
+    // Start a session (access + refresh token)
+    const { token, refreshToken } = await createSession(user, req);
 
     // Remove password from response
     user.password = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
 
     res.status(201).json({
       success: true,
       data: {
         user,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -91,12 +133,32 @@ const login = async (req, res) => {
       });
     }
 
+    // An admin has required a new password
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        error:
+          "You must reset your password before logging in. Check your email for a reset link or request a new one.",
+      });
+    }
+
+    // Second step required: hand back a short-lived challenge instead
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken(user, "password"),
+        },
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session (access + refresh token)
+    const { token, refreshToken } = await createSession(user, req);
 
     // Remove password from response
     user.password = undefined;
@@ -106,6 +168,7 @@ const login = async (req, res) => {
       data: {
         user,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -137,15 +200,45 @@ const getMe = async (req, res) => {
   }
 };
 
-// @desc    Logout user
+// @desc    Get new access token using a refresh token (rotates it)
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res) => {
+  try {
+    const { token, refreshToken } = await rotateSession(
+      req.body.refreshToken,
+      req,
+    );
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error refreshing token",
+    });
+  }
+};
+
+// @desc    Logout current session
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
   try {
-    // Revoke all existing JWTs for this user
-    await User.findByIdAndUpdate(req.user._id, {
-      $inc: { tokenVersion: 1 },
-    });
+    // protect only accepts tokens that belong to a session
+    await revokeSession(req.sessionId, req.user._id, "logout");
 
     // Safe no-op for clients not using cookies
     res.clearCookie("token");
@@ -163,6 +256,94 @@ const logout = async (req, res) => {
   }
 };
 
+// @desc    Logout all sessions
+// @route   POST /api/auth/logout-all
+// @access  Private
+const logoutAll = async (req, res) => {
+  try {
+    // Revoke all existing JWTs and refresh tokens for this user
+    await User.findByIdAndUpdate(req.user._id, {
+      $inc: { tokenVersion: 1 },
+    });
+    await revokeAllSessions(req.user._id, "logout_all");
+
+    res.json({
+      success: true,
+      message: "Logged out of all sessions",
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error during logout",
+    });
+  }
+};
+
+// @desc    List active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select(
+        "device ipAddress userAgent method lastSeenAt lastSeenIp createdAt",
+      )
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session,
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching sessions",
+    });
+  }
+};
+
+// @desc    Sign out a session (e.g. a lost device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(
+      req.params.id,
+      req.user._id,
+      "remote_signout",
+    );
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: "Session not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Session signed out",
+    });
+  } catch (error) {
+    console.error("Delete session error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error signing out session",
+    });
+  }
+};
+
 // @desc    Forgot password
 // @route   POST /api/auth/forgot-password
 // @access  Public
@@ -178,24 +359,35 @@ const forgotPassword = async (req, res) => {
       });
     }
 
-    // Generate reset token
-    const resetToken = crypto.randomBytes(32).toString("hex");
-
-    // Hash token and set to resetPasswordToken field
-    user.resetPasswordToken = crypto
-      .createHash("sha256")
-      .update(resetToken)
-      .digest("hex");
-
-    // Set expire (10 minutes)
-    user.resetPasswordExpire = Date.now() + 10 * 60 * 1000;
+    // Generate reset token (only the hash is stored)
+    const resetToken = user.createPasswordResetToken(
+      RESET_PASSWORD_EXPIRE_MINUTES,
+    );
 
     await user.save();
 
-    // TODO: Send email with resetToken
     // Never return reset token to client
-    if (process.env.NODE_ENV !== "production") {
-      console.log("Reset token:", resetToken);
+    try {
+      await sendMail({
+        to: user.email,
+        template: "passwordReset",
+        data: {
+          user,
+          url: clientUrl(`/reset-password/${resetToken}`),
+          expiresInMinutes: RESET_PASSWORD_EXPIRE_MINUTES,
+        },
+      });
+    } catch (mailError) {
+      console.error("Password reset email error:", mailError);
+
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpire = undefined;
+      await user.save();
+
+      return res.status(500).json({
+        success: false,
+        error: "Email could not be sent. Please try again later.",
+      });
     }
 
     res.json({
@@ -238,18 +430,36 @@ const resetPassword = async (req, res) => {
     user.password = req.body.password;
     user.resetPasswordToken = undefined;
     user.resetPasswordExpire = undefined;
+    user.passwordResetRequired = false;
     user.isVerified = true;
     user.tokenVersion += 1;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user);
+    // The reset link proved the email address
+    await autoJoinOrganization(user, { ipAddress: req.ip });
+
+    // Sign out everywhere
+    await revokeAllSessions(user._id, "password_change");
+
+    // A reset link alone must not get past 2FA
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken(user, "password"),
+        },
+      });
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       data: {
         user,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -261,6 +471,78 @@ const resetPassword = async (req, res) => {
   }
 };
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify-email/:token
+// @access  Public
+const verifyEmail = async (req, res) => {
+  try {
+    const emailVerificationToken = crypto
+      .createHash("sha256")
+      .update(req.params.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid or expired verification token",
+      });
+    }
+
+    user.isVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save();
+
+    // Students on an institution's domain join its organization
+    await autoJoinOrganization(user, { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verify-email/resend
+// @access  Private
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        error: "Email is already verified",
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Email could not be sent. Please try again later.",
+    });
+  }
+};
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -316,12 +598,15 @@ const changePassword = async (req, res) => {
     user.tokenVersion += 1;
     await user.save();
 
-    const token = generateToken(user);
+    // Sign out other devices, then start a fresh session
+    await revokeAllSessions(user._id, "password_change");
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       success: true,
       message: "Password updated successfully",
       token,
+      refreshToken,
     });
   } catch (error) {
     console.error("Change password error:", error);
@@ -336,9 +621,15 @@ module.exports = {
   register,
   login,
   getMe,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   updateProfile,
   changePassword,
 };
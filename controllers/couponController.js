@@ -0,0 +1,372 @@
+/**
+ * Coupon Controller
+ * Admin management of discount codes and their redemption reports
+ */
+
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const { toBaseAmount, getBaseCurrency } = require("../utils/currencies");
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "discountType",
+  "value",
+  "maxDiscount",
+  "minOrderValue",
+  "eligibleTaskTypes",
+  "eligibleEducationLevels",
+  "startsAt",
+  "expiresAt",
+  "maxRedemptions",
+  "maxRedemptionsPerUser",
+  "isActive",
+];
+
+const pickCouponFields = (body) =>
+  Object.fromEntries(
+    COUPON_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ]),
+  );
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getDateRange = (query) => ({
+  from: query.from ? new Date(query.from) : new Date(0),
+  to: query.to ? new Date(query.to) : new Date(),
+});
+
+// @desc    Get coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+const getCoupons = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true";
+    }
+    if (req.query.search) {
+      query.code = {
+        $regex: escapeRegex(req.query.search.toUpperCase()),
+      };
+    }
+
+    const total = await Coupon.countDocuments(query);
+    const coupons = await Coupon.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get coupons error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching coupons",
+    });
+  }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+const getCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).populate(
+      "createdBy",
+      "firstName lastName email",
+    );
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: "Coupon not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    console.error("Get coupon error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching coupon",
+    });
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+const createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(", "),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: "A coupon with this code already exists",
+      });
+    }
+    console.error("Create coupon error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error creating coupon",
+    });
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: "Coupon not found",
+      });
+    }
+
+    const changes = pickCouponFields(req.body);
+
+    // Redemptions and reports refer to the code, so it's fixed once used
+    if (
+      changes.code !== undefined &&
+      changes.code.toUpperCase() !== coupon.code &&
+      (await CouponRedemption.exists({ coupon: coupon._id }))
+    ) {
+      return res.status(409).json({
+        success: false,
+        error: "The code of a coupon that has been redeemed cannot change",
+      });
+    }
+
+    coupon.set(changes);
+    await coupon.save();
+
+    res.json({
+      success: true,
+      data: coupon,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(", "),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: "A coupon with this code already exists",
+      });
+    }
+    console.error("Update coupon error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error updating coupon",
+    });
+  }
+};
+
+// @desc    Delete coupon (deactivated instead once it has been redeemed)
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: "Coupon not found",
+      });
+    }
+
+    if (await CouponRedemption.exists({ coupon: coupon._id })) {
+      coupon.isActive = false;
+      await coupon.save();
+
+      return res.json({
+        success: true,
+        message: "Coupon has redemptions and was deactivated",
+        data: coupon,
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Coupon deleted",
+    });
+  } catch (error) {
+    console.error("Delete coupon error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error deleting coupon",
+    });
+  }
+};
+
+// @desc    Get a coupon's redemptions
+// @route   GET /api/coupons/:id/redemptions
+// @access  Private/Admin
+const getCouponRedemptions = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        error: "Coupon not found",
+      });
+    }
+
+    const query = { coupon: coupon._id };
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await CouponRedemption.countDocuments(query);
+    const redemptions = await CouponRedemption.find(query)
+      .populate("user", "firstName lastName email")
+      .populate("order", "orderNumber status paymentStatus totalPrice")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: redemptions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get coupon redemptions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching coupon redemptions",
+    });
+  }
+};
+
+// @desc    Redemption totals per coupon over a period (base currency)
+// @route   GET /api/coupons/report
+// @access  Private/Admin
+const getCouponReport = async (req, res) => {
+  try {
+    const { from, to } = getDateRange(req.query);
+
+    const byCoupon = await CouponRedemption.aggregate([
+      {
+        $match: {
+          status: "redeemed",
+          createdAt: { $gte: from, $lte: to },
+        },
+      },
+      {
+        $group: {
+          _id: "$coupon",
+          code: { $first: "$code" },
+          redemptions: { $sum: 1 },
+          customers: { $addToSet: "$user" },
+          discount: { $sum: toBaseAmount("$discount") },
+          revenue: { $sum: toBaseAmount("$orderTotal") },
+        },
+      },
+      { $sort: { redemptions: -1 } },
+    ]);
+
+    const coupons = byCoupon.map((entry) => ({
+      coupon: entry._id,
+      code: entry.code,
+      redemptions: entry.redemptions,
+      customers: entry.customers.length,
+      discount: Math.round(entry.discount * 100) / 100,
+      revenue: Math.round(entry.revenue * 100) / 100,
+    }));
+
+    const sum = (key) =>
+      Math.round(
+        coupons.reduce((total, entry) => total + entry[key], 0) * 100,
+      ) / 100;
+
+    res.json({
+      success: true,
+      data: {
+        period: { from, to },
+        // Amounts are normalized to the base currency
+        currency: getBaseCurrency(),
+        redemptions: coupons.reduce(
+          (total, entry) => total + entry.redemptions,
+          0,
+        ),
+        discount: sum("discount"),
+        revenue: sum("revenue"),
+        coupons,
+      },
+    });
+  } catch (error) {
+    console.error("Get coupon report error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching coupon report",
+    });
+  }
+};
+
+module.exports = {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponRedemptions,
+  getCouponReport,
+};
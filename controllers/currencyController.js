@@ -0,0 +1,227 @@
+/**
+ * Currency Controller
+ * Lists the currencies prices are available in and lets admins maintain
+ * exchange rates
+ */
+
+const Currency = require("../models/Currency");
+const { getBaseCurrency } = require("../utils/currencies");
+
+// Fields admins may set on a currency
+const CURRENCY_FIELDS = [
+  "code",
+  "name",
+  "symbol",
+  "rate",
+  "decimals",
+  "roundingIncrement",
+  "isActive",
+];
+
+const pickCurrencyFields = (body) =>
+  Object.fromEntries(
+    CURRENCY_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]],
+    ),
+  );
+
+// The base currency converts at exactly 1 and can't be disabled
+const checkBaseCurrency = (currency) => {
+  if (currency.code !== getBaseCurrency()) return null;
+  if (currency.rate !== 1) return "The base currency's rate must be 1";
+  if (!currency.isActive) return "The base currency cannot be disabled";
+  return null;
+};
+
+// @desc    Get currencies prices are available in
+// @route   GET /api/currencies
+// @access  Public
+const getCurrencies = async (req, res) => {
+  try {
+    const currencies = await Currency.find({ isActive: true })
+      .select("code name symbol rate decimals roundingIncrement rateUpdatedAt")
+      .sort({ code: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: getBaseCurrency(),
+        currencies,
+      },
+    });
+  } catch (error) {
+    console.error("Get currencies error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching currencies",
+    });
+  }
+};
+
+// @desc    Get every currency, including disabled ones
+// @route   GET /api/currencies/all
+// @access  Private/Admin
+const getAllCurrencies = async (req, res) => {
+  try {
+    const currencies = await Currency.find()
+      .populate("updatedBy", "firstName lastName email")
+      .sort({ code: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: getBaseCurrency(),
+        currencies,
+      },
+    });
+  } catch (error) {
+    console.error("Get all currencies error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching currencies",
+    });
+  }
+};
+
+// @desc    Add a currency
+// @route   POST /api/currencies
+// @access  Private/Admin
+const createCurrency = async (req, res) => {
+  try {
+    const currency = new Currency({
+      ...pickCurrencyFields(req.body),
+      updatedBy: req.user._id,
+    });
+
+    const problem = checkBaseCurrency(currency);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem,
+      });
+    }
+
+    await currency.save();
+
+    res.status(201).json({
+      success: true,
+      data: currency,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(", "),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: "This currency already exists",
+      });
+    }
+    console.error("Create currency error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error creating currency",
+    });
+  }
+};
+
+// @desc    Update a currency's rate, rounding or status
+// @route   PUT /api/currencies/:code
+// @access  Private/Admin
+const updateCurrency = async (req, res) => {
+  try {
+    const currency = await Currency.findOne({ code: req.params.code });
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        error: "Currency not found",
+      });
+    }
+
+    // Orders and quotes refer to the code, so it never changes
+    const { code, ...changes } = pickCurrencyFields(req.body);
+    currency.set({ ...changes, updatedBy: req.user._id });
+
+    const problem = checkBaseCurrency(currency);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem,
+      });
+    }
+
+    await currency.save();
+
+    res.json({
+      success: true,
+      data: currency,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(", "),
+      });
+    }
+    console.error("Update currency error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error updating currency",
+    });
+  }
+};
+
+// @desc    Disable a currency (existing orders keep their stored rate)
+// @route   DELETE /api/currencies/:code
+// @access  Private/Admin
+const disableCurrency = async (req, res) => {
+  try {
+    const currency = await Currency.findOne({ code: req.params.code });
+
+    if (!currency) {
+      return res.status(404).json({
+        success: false,
+        error: "Currency not found",
+      });
+    }
+
+    currency.isActive = false;
+    currency.updatedBy = req.user._id;
+
+    const problem = checkBaseCurrency(currency);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        error: problem,
+      });
+    }
+
+    await currency.save();
+
+    res.json({
+      success: true,
+      message: "Currency disabled",
+      data: currency,
+    });
+  } catch (error) {
+    console.error("Disable currency error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error disabling currency",
+    });
+  }
+};
+
+module.exports = {
+  getCurrencies,
+  getAllCurrencies,
+  createCurrency,
+  updateCurrency,
+  disableCurrency,
+};
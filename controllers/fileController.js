@@ -0,0 +1,140 @@
+/**
+ * File Controller
+ * Handles order attachment and completed work uploads/downloads
+ *
+ * Routes run behind loadOrder, so req.order is set and access-checked.
+ */
+
+const storage = require("../utils/storage");
+const { getContentType } = require("../utils/fileTypes");
+
+const FILE_FIELDS = {
+  attachments: "attachments",
+  completed: "completedFiles",
+};
+
+/**
+ * Map multer files to order file entries
+ * @param {Array} files - Multer files
+ * @param {Object} user - Uploader
+ * @returns {Array}
+ */
+const toOrderFiles = (files, user) => {
+  return files.map((file) => ({
+    filename: file.filename,
+    originalName: file.originalname,
+    path: storage.toStoredPath(file),
+    mimeType: file.mimetype,
+    size: file.size,
+    uploadedBy: user._id,
+    uploadedAt: new Date(),
+  }));
+};
+
+/**
+ * Build an upload handler for one of the order file lists
+ * @param {string} kind - "attachments" or "completed"
+ */
+const uploadFilesTo = (kind) => async (req, res) => {
+  const field = FILE_FIELDS[kind];
+
+  try {
+    const order = req.order;
+    const added = toOrderFiles(req.files, req.user);
+
+    order[field].push(...added);
+    await order.save();
+
+    res.status(201).json({
+      success: true,
+      data: order[field].slice(-added.length),
+    });
+  } catch (error) {
+    // Don't leave orphaned files behind
+    await Promise.all(
+      req.files.map((file) =>
+        storage.remove(storage.toStoredPath(file)).catch(() => {}),
+      ),
+    );
+    console.error("Upload files error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error uploading files",
+    });
+  }
+};
+
+/**
+ * Build a download handler for one of the order file lists
+ * @param {string} kind - "attachments" or "completed"
+ */
+const downloadFileFrom = (kind) => async (req, res) => {
+  try {
+    const file = req.order[FILE_FIELDS[kind]].id(req.params.fileId);
+
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        error: "File not found",
+      });
+    }
+
+    const stream = storage.createReadStream(file.path);
+
+    stream.on("error", (error) => {
+      if (res.headersSent) return res.destroy(error);
+      const missing = error.code === "ENOENT";
+      if (!missing) console.error("Download file error:", error);
+      res.status(missing ? 404 : 500).json({
+        success: false,
+        error: missing ? "File not found" : "Server error downloading file",
+      });
+    });
+
+    stream.on("open", () => {
+      // Always a download, typed by the stored file's extension, so an
+      // uploaded file can never be rendered as a page
+      res.attachment(file.originalName || file.filename);
+      res.setHeader(
+        "Content-Type",
+        getContentType(file.filename) || "application/octet-stream",
+      );
+      res.setHeader("X-Content-Type-Options", "nosniff");
+      if (file.size) res.setHeader("Content-Length", file.size);
+      stream.pipe(res);
+    });
+  } catch (error) {
+    console.error("Download file error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error downloading file",
+    });
+  }
+};
+
+// @desc    Upload attachments to an order
+// @route   POST /api/orders/:id/attachments
+// @access  Private (Owner/Admin)
+const uploadAttachments = uploadFilesTo("attachments");
+
+// @desc    Upload completed work to an order
+// @route   POST /api/orders/:id/completed-files
+// @access  Private (Assigned tutor/Admin)
+const uploadCompletedFiles = uploadFilesTo("completed");
+
+// @desc    Download an order attachment
+// @route   GET /api/orders/:id/attachments/:fileId
+// @access  Private (Owner/Assigned tutor/Admin)
+const downloadAttachment = downloadFileFrom("attachments");
+
+// @desc    Download a completed work file
+// @route   GET /api/orders/:id/completed-files/:fileId
+// @access  Private (Owner/Assigned tutor/Admin)
+const downloadCompletedFile = downloadFileFrom("completed");
+
+module.exports = {
+  uploadAttachments,
+  uploadCompletedFiles,
+  downloadAttachment,
+  downloadCompletedFile,
+};
@@ -0,0 +1,128 @@
+/**
+ * Message Controller
+ * Handles per-order message threads
+ *
+ * Routes run behind loadOrder("canBeViewedBy"), so req.order is set.
+ */
+
+const Message = require("../models/Message");
+
+// @desc    Get messages for an order
+// @route   GET /api/orders/:id/messages
+// @access  Private (Owner/Assigned tutor/Admin)
+const getMessages = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {
+      order: req.order._id,
+      ...Message.visibilityFilter(req.user),
+    };
+
+    const total = await Message.countDocuments(query);
+
+    const messages = await Message.find(query)
+      .populate("sender", "firstName lastName role")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get messages error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching messages",
+    });
+  }
+};
+
+// @desc    Post a message to an order
+// @route   POST /api/orders/:id/messages
+// @access  Private (Owner/Assigned tutor/Admin)
+const postMessage = async (req, res) => {
+  try {
+    const internal = req.body.internal === true;
+
+    if (internal && req.user.role === "student") {
+      return res.status(403).json({
+        success: false,
+        error: "Students cannot post internal notes",
+      });
+    }
+
+    const message = await Message.create({
+      order: req.order._id,
+      sender: req.user._id,
+      senderRole: req.user.role,
+      body: req.body.body,
+      visibility: internal ? "internal" : "all",
+      readBy: [{ user: req.user._id, readAt: new Date() }],
+    });
+
+    await message.populate("sender", "firstName lastName role");
+
+    res.status(201).json({
+      success: true,
+      data: message,
+    });
+  } catch (error) {
+    console.error("Post message error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error posting message",
+    });
+  }
+};
+
+// @desc    Mark messages on an order as read
+// @route   PUT /api/orders/:id/messages/read
+// @access  Private (Owner/Assigned tutor/Admin)
+const markMessagesRead = async (req, res) => {
+  try {
+    const query = {
+      order: req.order._id,
+      "readBy.user": { $ne: req.user._id },
+      ...Message.visibilityFilter(req.user),
+    };
+
+    // Mark specific messages, or the whole thread if none given
+    if (Array.isArray(req.body.messageIds)) {
+      query._id = { $in: req.body.messageIds };
+    }
+
+    const result = await Message.updateMany(query, {
+      $push: { readBy: { user: req.user._id, readAt: new Date() } },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        marked: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.error("Mark messages read error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error marking messages read",
+    });
+  }
+};
+
+module.exports = {
+  getMessages,
+  postMessage,
+  markMessagesRead,
+};
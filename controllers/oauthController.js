@@ -0,0 +1,233 @@
+/**
+ * OAuth Controller
+ * Handles the provider sign-in round trip and the authorization code handoff
+ *
+ * The callback never puts tokens in the redirect URL. It redirects with a
+ * one-time code which the frontend exchanges via POST /oauth/exchange.
+ */
+
+const User = require("../models/User");
+const OneTimeToken = require("../models/OneTimeToken");
+const { createSession } = require("../utils/sessions");
+const { issueChallengeToken } = require("../utils/twoFactor");
+const { resolveOAuthUser } = require("../utils/identities");
+const { getProvider, listProviders } = require("../utils/identityProviders");
+const {
+  resolveRedirectTarget,
+  buildRedirectUrl,
+  startAuthorization,
+  completeAuthorization,
+} = require("../utils/oauth");
+
+const AUTH_CODE_TTL_MS = 60 * 1000;
+
+// Legacy /google routes pass no :provider param
+const getProviderName = (req) => req.params.provider || "google";
+
+// @desc    List the sign-in providers that are configured
+// @route   GET /api/auth/providers
+// @access  Public
+const getProviders = (req, res) => {
+  res.json({
+    success: true,
+    data: listProviders(),
+  });
+};
+
+// @desc    Start provider sign-in
+// @route   GET /api/auth/oauth/:provider?redirect_uri=
+// @access  Public
+const startOAuth = async (req, res) => {
+  try {
+    const provider = getProvider(getProviderName(req));
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: "Sign-in provider not found",
+      });
+    }
+
+    const redirect = resolveRedirectTarget(req.query.redirect_uri);
+
+    if (!redirect) {
+      return res.status(400).json({
+        success: false,
+        error: "redirect_uri is not an allowed redirect target",
+      });
+    }
+
+    const url = await startAuthorization(req, res, provider, { redirect });
+
+    res.redirect(url);
+  } catch (error) {
+    console.error("Start OAuth error:", error);
+    res.status(502).json({
+      success: false,
+      error: "Sign-in provider is unavailable",
+    });
+  }
+};
+
+// @desc    Provider OAuth callback
+// @route   GET /api/auth/oauth/:provider/callback
+// @access  Public
+const oauthCallback = async (req, res) => {
+  const providerName = getProviderName(req);
+  let redirect = resolveRedirectTarget();
+
+  try {
+    const provider = getProvider(providerName);
+
+    if (!provider) {
+      return res.redirect(
+        buildRedirectUrl(redirect, { error: "provider_not_found" }),
+      );
+    }
+
+    const { state, profile, error } = await completeAuthorization(
+      req,
+      res,
+      provider,
+    );
+    if (state?.redirect) redirect = state.redirect;
+
+    if (error) {
+      return res.redirect(buildRedirectUrl(redirect, { error }));
+    }
+
+    const result = await resolveOAuthUser(profile, {
+      intent: state.intent,
+      ipAddress: req.ip,
+    });
+
+    let codeData;
+
+    if (result.linked) {
+      // Linked from account settings; the user is already signed in
+      return res.redirect(buildRedirectUrl(redirect, { linked: providerName }));
+    } else if (result.user) {
+      // Accounts with 2FA finish signing in via POST /2fa/verify
+      codeData = result.user.twoFactor?.enabled
+        ? {
+            type: "two_factor",
+            userId: result.user._id.toString(),
+            method: providerName,
+          }
+        : {
+            type: "session",
+            userId: result.user._id.toString(),
+            tokenVersion: result.user.tokenVersion,
+            method: providerName,
+          };
+    } else if (result.linkToken) {
+      // An account with this email exists; ask its owner to confirm
+      codeData = {
+        type: "link_required",
+        linkToken: result.linkToken,
+        provider: providerName,
+      };
+    } else {
+      return res.redirect(
+        buildRedirectUrl(redirect, { error: result.error || "oauth_failed" }),
+      );
+    }
+
+    const code = await OneTimeToken.issue(
+      "oauth_code",
+      codeData,
+      AUTH_CODE_TTL_MS,
+    );
+
+    res.redirect(buildRedirectUrl(redirect, { code }));
+  } catch (error) {
+    console.error(`OAuth callback error (${providerName}):`, error);
+    res.redirect(buildRedirectUrl(redirect, { error: "oauth_failed" }));
+  }
+};
+
+// @desc    Exchange a one-time code from the OAuth callback
+// @route   POST /api/auth/oauth/exchange
+// @access  Public
+const exchangeCode = async (req, res) => {
+  try {
+    const data = await OneTimeToken.consume("oauth_code", req.body.code);
+
+    if (!data) {
+      return res.status(400).json({
+        success: false,
+        error: "Authorization code is invalid, expired or already used",
+      });
+    }
+
+    if (data.type === "link_required") {
+      return res.json({
+        success: true,
+        data: {
+          linkRequired: true,
+          provider: data.provider,
+          linkToken: data.linkToken,
+        },
+      });
+    }
+
+    const user = await User.findById(data.userId);
+
+    if (
+      !user ||
+      !user.isActive ||
+      (data.type === "session" && data.tokenVersion !== user.tokenVersion)
+    ) {
+      return res.status(401).json({
+        success: false,
+        error: "Sign-in is no longer valid. Please try again.",
+      });
+    }
+
+    // An admin has required a new password
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        error:
+          "You must reset your password before logging in. Check your email for a reset link or request a new one.",
+      });
+    }
+
+    if (data.type === "two_factor") {
+      return res.json({
+        success: true,
+        data: {
+          twoFactorRequired: true,
+          challengeToken: issueChallengeToken(user, data.method),
+        },
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const { token, refreshToken } = await createSession(user, req, data.method);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    console.error("Exchange OAuth code error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error during login",
+    });
+  }
+};
+
+module.exports = {
+  getProviders,
+  startOAuth,
+  oauthCallback,
+  exchangeCode,
+};
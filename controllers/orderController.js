@@ -4,36 +4,91 @@
  */
 
 const Order = require("../models/Order");
-const PricingRule = require("../models/PricingRule");
+const User = require("../models/User");
+const Message = require("../models/Message");
+const { TERMINAL_STATUSES } = require("../utils/orderStatus");
+const { cancelWithRefund } = require("../utils/refunds");
+const { redeemCoupon } = require("../utils/coupons");
+const {
+  getPricingFields,
+  priceOrder,
+  issueQuote,
+  verifyQuote,
+} = require("../utils/quote");
+
+// Fields students may set when placing an order; prices, payment,
+// assignment and status are always set by the server
+const ORDER_FIELDS = [
+  "educationLevel",
+  "taskType",
+  "subject",
+  "title",
+  "description",
+  "additionalInstructions",
+  "deadline",
+  "urgency",
+  "complexityLevel",
+  "citationStyle",
+  "numberOfSources",
+  "pageCount",
+  "hours",
+  "questionCount",
+  "currency",
+  "couponCode",
+];
+
+const pickOrderFields = (body) =>
+  Object.fromEntries(
+    ORDER_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ]),
+  );
+
+// Admin notes are internal; only admins see them
+const orderProjection = (user) => (user.role === "admin" ? "" : "-adminNotes");
 
 // @desc    Create new order
 // @route   POST /api/orders
 // @access  Private
 const createOrder = async (req, res) => {
   try {
+    const { quoteToken } = req.body;
     const orderData = {
-      ...req.body,
+      ...pickOrderFields(req.body),
       student: req.user._id,
     };
 
-    // Calculate price using pricing rules
-    const totalPrice = await PricingRule.calculatePrice(orderData);
-    orderData.basePrice = totalPrice / 1; // Simplified for MVP
-    orderData.totalPrice = totalPrice;
-
-    // Determine urgency based on deadline
-    const deadline = new Date(orderData.deadline);
-    const now = new Date();
-    const hoursUntilDeadline = (deadline - now) / (1000 * 60 * 60);
-
-    if (hoursUntilDeadline <= 24) {
-      orderData.urgency = "urgent";
-    } else if (hoursUntilDeadline <= 72) {
-      orderData.urgency = "rush";
+    let breakdown;
+    if (quoteToken) {
+      // Lock in the quoted price (throws on stale or tampered quotes)
+      const quote = verifyQuote(quoteToken, orderData);
+      breakdown = quote.breakdown;
+      orderData.urgency = quote.fields.urgency;
+      orderData.quoteId = quote.quoteId;
     } else {
-      orderData.urgency = "standard";
+      // Urgency is derived from the deadline before pricing
+      const now = new Date();
+      const pricingFields = getPricingFields(orderData, now);
+      orderData.urgency = pricingFields.urgency;
+      breakdown = await priceOrder(pricingFields, { at: now });
     }
 
+    orderData.basePrice = breakdown.basePrice;
+    orderData.totalPrice = breakdown.totalPrice;
+    orderData.currency = breakdown.currency;
+    orderData.baseCurrency = breakdown.baseCurrency;
+    orderData.exchangeRate = breakdown.exchangeRate;
+    orderData.baseTotalPrice = breakdown.baseTotalPrice;
+    orderData.priceBreakdown = { ...breakdown, calculatedAt: new Date() };
+
+    const discountItem = breakdown.items.find(
+      (item) => item.category === "discount",
+    );
+    orderData.coupon = discountItem ? discountItem.coupon : null;
+    orderData.couponCode = discountItem ? discountItem.name : null;
+    orderData.discountAmount = breakdown.discount || 0;
+
     // Create order (retry on rare orderNumber collisions)
     let order;
     let attempts = 0;
@@ -45,6 +100,12 @@ const createOrder = async (req, res) => {
           attempts += 1;
           continue;
         }
+        if (err && err.code === 11000 && err.keyPattern?.quoteId) {
+          return res.status(409).json({
+            success: false,
+            error: "This price quote has already been used",
+          });
+        }
         throw err;
       }
     }
@@ -56,6 +117,16 @@ const createOrder = async (req, res) => {
       });
     }
 
+    // Usage caps are enforced when the coupon is redeemed, not when quoted
+    if (order.coupon) {
+      try {
+        await redeemCoupon(order);
+      } catch (error) {
+        await order.deleteOne();
+        throw error;
+      }
+    }
+
     // Populate student info for response
     await order.populate("student", "firstName lastName email");
 
@@ -64,6 +135,13 @@ const createOrder = async (req, res) => {
       data: order,
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      });
+    }
     console.error("Create order error:", error);
     res.status(500).json({
       success: false,
@@ -94,14 +172,24 @@ const getMyOrders = async (req, res) => {
 
     // Get orders
     const orders = await Order.find(query)
+      .select(orderProjection(req.user))
       .populate("student", "firstName lastName email")
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
+    // Surface unread message counts per order
+    const unreadCounts = await Message.getUnreadCounts(
+      orders.map((order) => order._id),
+      req.user,
+    );
+
     res.json({
       success: true,
-      data: orders,
+      data: orders.map((order) => ({
+        ...order.toJSON(),
+        unreadMessages: unreadCounts[order._id.toString()] || 0,
+      })),
       pagination: {
         page,
         limit,
@@ -123,10 +211,10 @@ const getMyOrders = async (req, res) => {
 // @access  Private
 const getOrder = async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id).populate(
-      "student",
-      "firstName lastName email",
-    );
+    const order = await Order.findById(req.params.id)
+      .select(orderProjection(req.user))
+      .populate("student", "firstName lastName email")
+      .populate("assignedTutor", "firstName lastName email");
 
     if (!order) {
       return res.status(404).json({
@@ -135,11 +223,8 @@ const getOrder = async (req, res) => {
       });
     }
 
-    // Check if user owns this order or is admin
-    if (
-      order.student._id.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    // Owner, assigned tutor or admin
+    if (!order.canBeViewedBy(req.user)) {
       return res.status(403).json({
         success: false,
         error: "Not authorized to view this order",
@@ -184,6 +269,8 @@ const updateOrder = async (req, res) => {
       });
     }
 
+    let refund = null;
+
     // Students can only cancel or add additional instructions
     if (isOwner && !isAdmin) {
       if (req.body.status && req.body.status !== "cancelled") {
@@ -193,39 +280,23 @@ const updateOrder = async (req, res) => {
         });
       }
 
-      if (req.body.status === "cancelled") {
-        if (["completed", "cancelled"].includes(order.status)) {
-          return res.status(400).json({
-            success: false,
-            error: "Cannot cancel this order",
-          });
-        }
-        order.status = "cancelled";
-        order.statusHistory.push({
-          status: "cancelled",
-          timestamp: new Date(),
-          note: "Cancelled by student",
-        });
-      }
-
       if (req.body.additionalInstructions) {
         order.additionalInstructions = req.body.additionalInstructions;
       }
 
-      await order.save();
+      if (req.body.status === "cancelled") {
+        ({ refund } = await cancelWithRefund(order, {
+          actor: req.user,
+          reason: req.body.statusNote,
+          note: "Cancelled by student",
+        }));
+      } else {
+        await order.save();
+      }
     } else {
       // Admin updates
       const { status, adminNotes, progress } = req.body;
 
-      if (status && status !== order.status) {
-        order.status = status;
-        order.statusHistory.push({
-          status,
-          timestamp: new Date(),
-          note: req.body.statusNote || `Status updated by admin`,
-        });
-      }
-
       if (adminNotes !== undefined) {
         order.adminNotes = adminNotes;
       }
@@ -234,17 +305,42 @@ const updateOrder = async (req, res) => {
         order.progress = Math.max(0, Math.min(100, progress));
       }
 
-      await order.save();
+      if (status === "cancelled" && order.status !== "cancelled") {
+        ({ refund } = await cancelWithRefund(order, {
+          actor: req.user,
+          reason: req.body.statusNote,
+          note: "Cancelled by admin",
+        }));
+      } else {
+        if (status && status !== order.status) {
+          order.transitionTo(status, {
+            actor: req.user,
+            reason: req.body.statusNote,
+            note: "Status updated by admin",
+          });
+        }
+
+        await order.save();
+      }
     }
 
     // Populate and return
     await order.populate("student", "firstName lastName email");
+    // Already saved; only keeps admin notes out of the response
+    if (req.user.role !== "admin") order.adminNotes = undefined;
 
     res.json({
       success: true,
       data: order,
+      ...(refund && { refund }),
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
     console.error("Update order error:", error);
     res.status(500).json({
       success: false,
@@ -275,29 +371,29 @@ const cancelOrder = async (req, res) => {
       });
     }
 
-    // Check if can be cancelled
-    if (["completed", "cancelled"].includes(order.status)) {
-      return res.status(400).json({
-        success: false,
-        error: "This order cannot be cancelled",
-      });
-    }
-
-    order.status = "cancelled";
-    order.statusHistory.push({
-      status: "cancelled",
-      timestamp: new Date(),
-      note: req.body.reason || "Cancelled by student",
+    // Throws 409 if the order can no longer be cancelled
+    const { refund } = await cancelWithRefund(order, {
+      actor: req.user,
+      reason: req.body.reason,
+      note: "Cancelled by student",
     });
 
-    await order.save();
     await order.populate("student", "firstName lastName email");
+    // Already saved; only keeps admin notes out of the response
+    if (req.user.role !== "admin") order.adminNotes = undefined;
 
     res.json({
       success: true,
       data: order,
+      ...(refund && { refund }),
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
     console.error("Cancel order error:", error);
     res.status(500).json({
       success: false,
@@ -372,7 +468,10 @@ const getOrderByNumber = async (req, res) => {
   try {
     const order = await Order.findOne({
       orderNumber: req.params.orderNumber,
-    }).populate("student", "firstName lastName email");
+    })
+      .select(orderProjection(req.user))
+      .populate("student", "firstName lastName email")
+      .populate("assignedTutor", "firstName lastName email");
 
     if (!order) {
       return res.status(404).json({
@@ -382,10 +481,7 @@ const getOrderByNumber = async (req, res) => {
     }
 
     // Check authorization
-    if (
-      order.student._id.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
+    if (!order.canBeViewedBy(req.user)) {
       return res.status(403).json({
         success: false,
         error: "Not authorized to view this order",
@@ -405,21 +501,116 @@ const getOrderByNumber = async (req, res) => {
   }
 };
 
+// @desc    Assign or reassign a tutor to an order
+// @route   PUT /api/orders/:id/assign
+// @access  Private/Admin
+const assignTutor = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      });
+    }
+
+    if (TERMINAL_STATUSES.includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot assign a tutor to a ${order.status} order`,
+      });
+    }
+
+    const tutor = await User.findById(req.body.tutorId);
+
+    if (!tutor || tutor.role !== "tutor" || !tutor.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: "Tutor not found or inactive",
+      });
+    }
+
+    order.assignedTutor = tutor._id;
+    order.assignedAt = new Date();
+
+    await order.save();
+    await order.populate("student", "firstName lastName email");
+    await order.populate("assignedTutor", "firstName lastName email");
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Assign tutor error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error assigning tutor",
+    });
+  }
+};
+
+// @desc    Remove the assigned tutor from an order
+// @route   DELETE /api/orders/:id/assign
+// @access  Private/Admin
+const unassignTutor = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      });
+    }
+
+    order.assignedTutor = null;
+    order.assignedAt = null;
+
+    await order.save();
+    await order.populate("student", "firstName lastName email");
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Unassign tutor error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error unassigning tutor",
+    });
+  }
+};
+
 // @desc    Calculate price for order preview
 // @route   POST /api/orders/calculate-price
 // @access  Private
 const calculatePrice = async (req, res) => {
   try {
-    const price = await PricingRule.calculatePrice(req.body);
+    const quote = await issueQuote(req.body);
 
     res.json({
       success: true,
       data: {
-        totalPrice: price,
-        currency: "USD",
+        totalPrice: quote.breakdown.totalPrice,
+        currency: quote.breakdown.currency,
+        breakdown: quote.breakdown,
+        urgency: quote.fields.urgency,
+        quoteId: quote.quoteId,
+        quoteToken: quote.quoteToken,
+        expiresAt: quote.expiresAt,
       },
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      });
+    }
     console.error("Calculate price error:", error);
     res.status(500).json({
       success: false,
@@ -436,5 +627,7 @@ module.exports = {
   updateOrder,
   cancelOrder,
   reviewOrder,
+  assignTutor,
+  unassignTutor,
   calculatePrice,
 };
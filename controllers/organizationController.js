@@ -0,0 +1,717 @@
+/**
+ * Organization Controller
+ * Handles institution accounts, their members and organization reports
+ *
+ * Platform admins create organizations and manage their domains and
+ * billing. Organization admins manage members and see members' order
+ * activity and what was billed to the organization.
+ */
+
+const Organization = require("../models/Organization");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Refund = require("../models/Refund");
+const AuditLog = require("../models/AuditLog");
+const { REFUNDED_STATUSES } = require("../utils/refunds");
+const {
+  BILLED_PAYMENT_STATUSES,
+  joinOrganization,
+  leaveOrganization,
+  getBillingPeriodStart,
+  getOrganizationSpend,
+} = require("../utils/organizations");
+const {
+  BASE_ORDER_TOTAL,
+  toBaseAmount,
+  getBaseCurrency,
+} = require("../utils/currencies");
+
+// Order fields organization admins may see (no work content or files)
+const ORDER_ACTIVITY_FIELDS =
+  "orderNumber title subject taskType educationLevel status paymentStatus paymentMethod organization totalPrice currency deadline paidAt createdAt student";
+
+const MEMBER_FIELDS =
+  "firstName lastName email avatar organizationRole organizationJoinedAt lastLogin isActive";
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Load the organization in req.params.id if the user may manage it
+ * Sends the error response and returns null otherwise
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} Organization document
+ */
+const findManagedOrganization = async (req, res) => {
+  const organization = await Organization.findById(req.params.id);
+
+  if (!organization) {
+    res.status(404).json({
+      success: false,
+      error: "Organization not found",
+    });
+    return null;
+  }
+
+  const isOrganizationAdmin =
+    req.user.organization?.equals(organization._id) &&
+    req.user.organizationRole === "admin";
+
+  if (req.user.role !== "admin" && !isOrganizationAdmin) {
+    res.status(403).json({
+      success: false,
+      error: "Not authorized to manage this organization",
+    });
+    return null;
+  }
+
+  return organization;
+};
+
+/**
+ * Parse the from/to query into a date range
+ * @param {Object} query - req.query
+ * @returns {Object} { from, to }
+ */
+const getDateRange = (query) => ({
+  from: query.from ? new Date(query.from) : getBillingPeriodStart(),
+  to: query.to ? new Date(query.to) : new Date(),
+});
+
+// @desc    Create an organization
+// @route   POST /api/organizations
+// @access  Private/Admin
+const createOrganization = async (req, res) => {
+  try {
+    const { name, domains, autoJoin, billing } = req.body;
+
+    const organization = await Organization.create({
+      name,
+      domains,
+      autoJoin,
+      billing,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: organization,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "One of these domains already belongs to an organization",
+      });
+    }
+    console.error("Create organization error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error creating organization",
+    });
+  }
+};
+
+// @desc    Get organizations
+// @route   GET /api/organizations
+// @access  Private/Admin
+const getOrganizations = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), "i");
+      query.$or = [{ name: pattern }, { domains: pattern }];
+    }
+
+    const total = await Organization.countDocuments(query);
+    const organizations = await Organization.find(query)
+      .sort({ name: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: organizations,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get organizations error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Get my organization
+// @route   GET /api/organizations/me
+// @access  Private
+const getMyOrganization = async (req, res) => {
+  try {
+    const organization = req.user.organization
+      ? await Organization.findById(req.user.organization).select(
+          "name domains billing.enabled billing.perOrderLimit isActive",
+        )
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: "You are not a member of an organization",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        organization,
+        role: req.user.organizationRole,
+        joinedAt: req.user.organizationJoinedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get my organization error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Leave my organization
+// @route   POST /api/organizations/me/leave
+// @access  Private
+const leaveMyOrganization = async (req, res) => {
+  try {
+    const organization = req.user.organization
+      ? await Organization.findById(req.user.organization)
+      : null;
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: "You are not a member of an organization",
+      });
+    }
+
+    await leaveOrganization(req.user, organization, {
+      actor: req.user,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `You have left ${organization.name}`,
+    });
+  } catch (error) {
+    console.error("Leave organization error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Get an organization
+// @route   GET /api/organizations/:id
+// @access  Private (Admin or organization admin)
+const getOrganization = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(req, res);
+    if (!organization) return;
+
+    const memberCount = await User.countDocuments({
+      organization: organization._id,
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...organization.toJSON(),
+        memberCount,
+      },
+    });
+  } catch (error) {
+    console.error("Get organization error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Update an organization's settings, domains or billing
+// @route   PUT /api/organizations/:id
+// @access  Private/Admin
+const updateOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: "Organization not found",
+      });
+    }
+
+    ["name", "domains", "autoJoin", "isActive"].forEach((field) => {
+      if (req.body[field] !== undefined) organization[field] = req.body[field];
+    });
+
+    if (req.body.billing) {
+      ["enabled", "perOrderLimit", "monthlyBudget", "billingEmail"].forEach(
+        (field) => {
+          if (req.body.billing[field] !== undefined) {
+            organization.billing[field] = req.body.billing[field];
+          }
+        },
+      );
+    }
+
+    await organization.save();
+
+    res.json({
+      success: true,
+      data: organization,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "One of these domains already belongs to an organization",
+      });
+    }
+    console.error("Update organization error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error updating organization",
+    });
+  }
+};
+
+// @desc    Get an organization's members
+// @route   GET /api/organizations/:id/members
+// @access  Private (Admin or organization admin)
+const getMembers = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(req, res);
+    if (!organization) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { organization: organization._id };
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), "i");
+      query.$or = [
+        { firstName: pattern },
+        { lastName: pattern },
+        { email: pattern },
+      ];
+    }
+
+    const total = await User.countDocuments(query);
+    const members = await User.find(query)
+      .select(MEMBER_FIELDS)
+      .sort({ organizationRole: 1, lastName: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: members,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get organization members error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Add a user to an organization
+// @route   POST /api/organizations/:id/members
+// @access  Private/Admin
+const addMember = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+
+    if (!organization) {
+      return res.status(404).json({
+        success: false,
+        error: "Organization not found",
+      });
+    }
+
+    const user = await User.findOne({
+      email: req.body.email,
+      deletedAt: null,
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "No user with that email",
+      });
+    }
+
+    if (user.organization) {
+      return res.status(409).json({
+        success: false,
+        error: user.organization.equals(organization._id)
+          ? "User is already a member of this organization"
+          : "User belongs to another organization",
+      });
+    }
+
+    await joinOrganization(user, organization, {
+      role: req.body.role || "member",
+      actor: req.user,
+      source: "admin",
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: await User.findById(user._id).select(MEMBER_FIELDS),
+    });
+  } catch (error) {
+    console.error("Add organization member error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Make a member an organization admin, or back
+// @route   PUT /api/organizations/:id/members/:userId
+// @access  Private (Admin or organization admin)
+const updateMemberRole = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(req, res);
+    if (!organization) return;
+
+    const member = await User.findOne({
+      _id: req.params.userId,
+      organization: organization._id,
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "Member not found",
+      });
+    }
+
+    if (member._id.equals(req.user._id)) {
+      return res.status(400).json({
+        success: false,
+        error: "You cannot change your own organization role",
+      });
+    }
+
+    const previousRole = member.organizationRole;
+    member.organizationRole = req.body.role;
+    await member.save({ validateBeforeSave: false });
+
+    await AuditLog.record({
+      action: "organization.role_change",
+      actor: req.user._id,
+      targetUser: member._id,
+      ipAddress: req.ip,
+      metadata: {
+        organization: organization._id,
+        from: previousRole,
+        to: req.body.role,
+      },
+    });
+
+    res.json({
+      success: true,
+      data: await User.findById(member._id).select(MEMBER_FIELDS),
+    });
+  } catch (error) {
+    console.error("Update organization member error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Remove a member from an organization
+// @route   DELETE /api/organizations/:id/members/:userId
+// @access  Private (Admin or organization admin)
+const removeMember = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(req, res);
+    if (!organization) return;
+
+    const member = await User.findOne({
+      _id: req.params.userId,
+      organization: organization._id,
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: "Member not found",
+      });
+    }
+
+    await leaveOrganization(member, organization, {
+      actor: req.user,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: "Member removed",
+    });
+  } catch (error) {
+    console.error("Remove organization member error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Get members' order activity
+// @route   GET /api/organizations/:id/orders
+// @access  Private (Admin or organization admin)
+const getOrganizationOrders = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(req, res);
+    if (!organization) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const memberIds = await User.find({
+      organization: organization._id,
+    }).distinct("_id");
+
+    // Members' orders, plus anything billed here by former members
+    const query = {
+      $or: [
+        { student: { $in: memberIds } },
+        { organization: organization._id },
+      ],
+    };
+
+    if (req.query.billed === "true") {
+      query.organization = organization._id;
+    } else if (req.query.billed === "false") {
+      query.organization = { $ne: organization._id };
+    }
+
+    if (req.query.member) {
+      query.student = req.query.member;
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    if (req.query.from || req.query.to) {
+      const { from, to } = getDateRange(req.query);
+      query.createdAt = { $gte: from, $lte: to };
+    }
+
+    const total = await Order.countDocuments(query);
+    const orders = await Order.find(query)
+      .select(ORDER_ACTIVITY_FIELDS)
+      .populate("student", "firstName lastName email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get organization orders error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Get what was billed to an organization
+// @route   GET /api/organizations/:id/spend?from=&to=
+// @access  Private (Admin or organization admin)
+const getOrganizationSpendReport = async (req, res) => {
+  try {
+    const organization = await findManagedOrganization(req, res);
+    if (!organization) return;
+
+    const { from, to } = getDateRange(req.query);
+
+    const billedMatch = {
+      organization: organization._id,
+      paymentMethod: "organization",
+      paymentStatus: { $in: [...BILLED_PAYMENT_STATUSES, "refunded"] },
+      paidAt: { $gte: from, $lte: to },
+    };
+
+    const [totals, byMember, byMonth, refunds, spentThisMonth] =
+      await Promise.all([
+        Order.aggregate([
+          { $match: billedMatch },
+          {
+            $group: {
+              _id: null,
+              billed: { $sum: BASE_ORDER_TOTAL },
+              orders: { $sum: 1 },
+            },
+          },
+        ]),
+        Order.aggregate([
+          { $match: billedMatch },
+          {
+            $group: {
+              _id: "$student",
+              billed: { $sum: BASE_ORDER_TOTAL },
+              orders: { $sum: 1 },
+            },
+          },
+          { $sort: { billed: -1 } },
+          { $limit: 20 },
+          {
+            $lookup: {
+              from: "users",
+              localField: "_id",
+              foreignField: "_id",
+              as: "member",
+              pipeline: [{ $project: { firstName: 1, lastName: 1, email: 1 } }],
+            },
+          },
+          { $unwind: "$member" },
+        ]),
+        Order.aggregate([
+          { $match: billedMatch },
+          {
+            $group: {
+              _id: { $dateToString: { format: "%Y-%m", date: "$paidAt" } },
+              billed: { $sum: BASE_ORDER_TOTAL },
+              orders: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ]),
+        Refund.aggregate([
+          {
+            $match: {
+              status: { $in: REFUNDED_STATUSES },
+              processedAt: { $gte: from, $lte: to },
+            },
+          },
+          {
+            $lookup: {
+              from: "orders",
+              localField: "order",
+              foreignField: "_id",
+              as: "order",
+              pipeline: [{ $project: { organization: 1, paymentMethod: 1 } }],
+            },
+          },
+          {
+            $match: {
+              "order.organization": organization._id,
+              "order.paymentMethod": "organization",
+            },
+          },
+          {
+            $group: { _id: null, total: { $sum: toBaseAmount("$amount") } },
+          },
+        ]),
+        getOrganizationSpend(organization._id),
+      ]);
+
+    const billed = totals[0]?.billed || 0;
+    const refunded = Math.round((refunds[0]?.total || 0) * 100) / 100;
+    const { monthlyBudget } = organization.billing;
+
+    res.json({
+      success: true,
+      data: {
+        period: { from, to },
+        // Amounts are normalized to the base currency
+        currency: getBaseCurrency(),
+        orders: totals[0]?.orders || 0,
+        billed,
+        refunded,
+        net: billed - refunded,
+        byMember: byMember.map((entry) => ({
+          member: entry.member,
+          orders: entry.orders,
+          billed: entry.billed,
+        })),
+        byMonth: byMonth.map((entry) => ({
+          month: entry._id,
+          orders: entry.orders,
+          billed: entry.billed,
+        })),
+        budget: {
+          monthlyBudget,
+          spentThisMonth,
+          remaining:
+            monthlyBudget === null
+              ? null
+              : Math.max(monthlyBudget - spentThisMonth, 0),
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get organization spend error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+module.exports = {
+  createOrganization,
+  getOrganizations,
+  getMyOrganization,
+  leaveMyOrganization,
+  getOrganization,
+  updateOrganization,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  getOrganizationOrders,
+  getOrganizationSpendReport,
+};
@@ -0,0 +1,354 @@
+/**
+ * Payment Controller
+ * Handles checkout sessions and provider webhooks
+ */
+
+const Order = require("../models/Order");
+const Organization = require("../models/Organization");
+const AuditLog = require("../models/AuditLog");
+const { getProvider } = require("../utils/payments");
+const { ApiError } = require("../utils/errorHandler");
+const {
+  getBillableAmount,
+  reserveOrganizationSpend,
+  releaseOrganizationSpend,
+} = require("../utils/organizations");
+
+/**
+ * Work out whether the order is billed to the user's organization
+ * Members of an organization with billing enabled are billed to it unless
+ * they ask to pay personally (billTo: "personal").
+ * Throws a 402 ApiError if the organization can't cover the order;
+ * otherwise the order is reserved against the organization's budget
+ * @param {Object} user - Paying user
+ * @param {Object} order - Order document
+ * @param {string} [billTo] - "organization" or "personal"
+ * @returns {Promise<Object|null>} Organization to bill, or null
+ */
+const resolveBillingOrganization = async (user, order, billTo) => {
+  if (billTo === "personal") return null;
+
+  const organization = user.organization
+    ? await Organization.findById(user.organization)
+    : null;
+
+  if (!organization) {
+    if (billTo === "organization") {
+      throw new ApiError(402, "You are not a member of an organization");
+    }
+    return null;
+  }
+
+  // Only fall back to paying personally when billTo wasn't given
+  if (!billTo && (!organization.isActive || !organization.billing.enabled)) {
+    return null;
+  }
+
+  await reserveOrganizationSpend(organization, order);
+  return organization;
+};
+
+// Orders a payment event may still change
+const PAYABLE_FILTER = {
+  paymentStatus: { $in: ["pending", "failed"] },
+  status: { $nin: ["cancelled", "refunded"] },
+};
+
+/**
+ * Record a payment that can't be applied to its order (cancelled,
+ * refunded or paid through another session) so an admin can refund it
+ * with the provider
+ * @param {Object} order - Order document
+ * @param {Object} event - { type, sessionId, transactionId }
+ * @param {string} providerName - Provider that sent the event
+ * @returns {Promise<void>}
+ */
+const flagUnappliedPayment = async (order, event, providerName) => {
+  // Replayed webhooks are only recorded once
+  const result = await Order.updateOne(
+    {
+      _id: order._id,
+      "unappliedPayments.transactionId": { $ne: event.transactionId },
+    },
+    {
+      $push: {
+        unappliedPayments: {
+          provider: providerName,
+          sessionId: event.sessionId,
+          transactionId: event.transactionId,
+          receivedAt: new Date(),
+        },
+      },
+    },
+  );
+
+  if (result.modifiedCount === 0) return;
+
+  console.warn(
+    `Unapplied ${providerName} payment ${event.transactionId} for order ${order.orderNumber}`,
+  );
+
+  await AuditLog.record({
+    action: "payment.unapplied",
+    targetUser: order.student,
+    metadata: {
+      order: order._id,
+      orderNumber: order.orderNumber,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      provider: providerName,
+      sessionId: event.sessionId,
+      transactionId: event.transactionId,
+    },
+  });
+};
+
+/**
+ * Apply a verified payment event to its order
+ * A single conditional update, so replayed or out-of-order events never
+ * undo a successful payment and cancelled orders are never marked paid.
+ * Payments that arrive too late are flagged for an admin to refund.
+ * @param {Object} event - { type, sessionId, transactionId }
+ * @param {string} providerName - Provider that sent the event
+ * @returns {Promise<Object|null>} Order, or null if no order has this
+ *   provider's session
+ */
+const applyPaymentEvent = async (event, providerName) => {
+  const session = {
+    paymentSessions: {
+      $elemMatch: { sessionId: event.sessionId, provider: providerName },
+    },
+  };
+
+  let changes = null;
+  if (event.type === "payment.succeeded") {
+    // The session that was paid decides who refunds it
+    changes = {
+      paymentStatus: "paid",
+      paymentMethod: providerName,
+      transactionId: event.transactionId,
+      paidAt: new Date(),
+    };
+  } else if (event.type === "payment.failed") {
+    changes = { paymentStatus: "failed" };
+  }
+
+  if (changes) {
+    const updated = await Order.findOneAndUpdate(
+      { ...session, ...PAYABLE_FILTER },
+      { $set: changes },
+      { new: true },
+    );
+    if (updated) return updated;
+  }
+
+  const order = await Order.findOne(session);
+
+  if (!order) return null;
+
+  if (
+    event.type === "payment.succeeded" &&
+    order.transactionId !== event.transactionId
+  ) {
+    await flagUnappliedPayment(order, event, providerName);
+  }
+
+  return order;
+};
+
+// @desc    Start checkout for an order
+// @route   POST /api/orders/:id/checkout
+// @access  Private
+const createCheckout = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      });
+    }
+
+    if (order.student.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: "Not authorized to pay for this order",
+      });
+    }
+
+    if (!["pending", "failed"].includes(order.paymentStatus)) {
+      return res.status(409).json({
+        success: false,
+        error: `Order payment is already ${order.paymentStatus}`,
+      });
+    }
+
+    if (["cancelled", "refunded"].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot pay for a ${order.status} order`,
+      });
+    }
+
+    const organization = await resolveBillingOrganization(
+      req.user,
+      order,
+      req.body.billTo,
+    );
+
+    const provider = getProvider(organization ? "organization" : undefined);
+    let session;
+
+    try {
+      if (!provider) {
+        throw new ApiError(500, "Payment provider is not configured");
+      }
+
+      order.organization = organization ? organization._id : null;
+      session = await provider.createCheckout({ order });
+
+      order.paymentMethod = provider.name;
+      order.paymentSessions.push({
+        provider: provider.name,
+        sessionId: session.sessionId,
+        createdAt: new Date(),
+      });
+      order.paymentStatus = "pending";
+
+      // Organization billing settles without a checkout page
+      if (session.transactionId) {
+        order.paymentStatus = "paid";
+        order.transactionId = session.transactionId;
+        order.paidAt = new Date();
+      }
+
+      await order.save();
+    } catch (error) {
+      // Give back the budget reserved for an order that wasn't billed
+      if (organization) {
+        await releaseOrganizationSpend(
+          organization._id,
+          getBillableAmount(order),
+        );
+      }
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        provider: provider.name,
+        sessionId: session.sessionId,
+        checkoutUrl: session.checkoutUrl,
+        paymentStatus: order.paymentStatus,
+        organization: order.organization,
+        amount: order.totalPrice,
+        currency: order.currency,
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error("Create checkout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error starting checkout",
+    });
+  }
+};
+
+// @desc    Receive payment provider webhook
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified)
+const handleWebhook = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        error: "Unknown payment provider",
+      });
+    }
+
+    const event = provider.verifyWebhook(req);
+    const order = await applyPaymentEvent(event, provider.name);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "No order for this payment session",
+      });
+    }
+
+    res.json({
+      success: true,
+      received: true,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error("Payment webhook error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error processing webhook",
+    });
+  }
+};
+
+// @desc    Complete a fake checkout session (development only)
+// @route   GET /api/payments/fake/:sessionId?outcome=paid|failed
+// @access  Public
+const completeFakeCheckout = async (req, res) => {
+  try {
+    const provider = getProvider("fake");
+
+    // Run the signed webhook through the same verification as real traffic
+    const webhook = provider.buildWebhook(
+      req.params.sessionId,
+      req.query.outcome !== "failed",
+    );
+    const event = provider.verifyWebhook({
+      headers: webhook.headers,
+      rawBody: Buffer.from(webhook.body),
+    });
+    const order = await applyPaymentEvent(event, provider.name);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "No order for this payment session",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        orderId: order._id,
+        paymentStatus: order.paymentStatus,
+        transactionId: order.transactionId,
+      },
+    });
+  } catch (error) {
+    console.error("Fake checkout error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error completing checkout",
+    });
+  }
+};
+
+module.exports = {
+  createCheckout,
+  handleWebhook,
+  completeFakeCheckout,
+};
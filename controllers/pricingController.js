@@ -4,15 +4,29 @@
  */
 
 const PricingRule = require("../models/PricingRule");
+const { issueQuote, getPricingFields, priceOrder } = require("../utils/quote");
+const {
+  pickEditableFields,
+  reviseRule,
+  retireRule,
+} = require("../utils/pricingRules");
 
-// @desc    Get all pricing rules
+// @desc    Get pricing rules in effect (now, or ?at=), or ?all=true for
+//          every current version including scheduled and ended rules
 // @route   GET /api/pricing
 // @access  Private/Admin
 const getPricingRules = async (req, res) => {
   try {
-    const rules = await PricingRule.find({ isActive: true }).sort({
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    const query =
+      req.query.all === "true"
+        ? { supersededBy: { $exists: false } }
+        : PricingRule.effectiveAt(at);
+
+    const rules = await PricingRule.find(query).sort({
       category: 1,
       displayOrder: 1,
+      priority: -1,
     });
 
     // Group by category for frontend
@@ -23,7 +37,10 @@ const getPricingRules = async (req, res) => {
       acc[rule.category].push({
         value: rule.appliesTo,
         label: rule.displayName,
+        adjustment: rule.adjustment,
         multiplier: rule.multiplier,
+        amount: rule.amount,
+        conditions: rule.conditions,
       });
       return acc;
     }, {});
@@ -76,13 +93,23 @@ const getPricingRule = async (req, res) => {
 // @access  Private/Admin
 const createPricingRule = async (req, res) => {
   try {
-    const rule = await PricingRule.create(req.body);
+    const rule = await PricingRule.create({
+      ...pickEditableFields(req.body),
+      updatedBy: req.user._id,
+    });
 
     res.status(201).json({
       success: true,
       data: rule,
     });
   } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(", "),
+      });
+    }
     console.error("Create pricing rule error:", error);
 
     if (error.code === 11000) {
@@ -99,15 +126,12 @@ const createPricingRule = async (req, res) => {
   }
 };
 
-// @desc    Update pricing rule
+// @desc    Update pricing rule (creates a new version)
 // @route   PUT /api/pricing/:id
 // @access  Private/Admin
 const updatePricingRule = async (req, res) => {
   try {
-    const rule = await PricingRule.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    const rule = await PricingRule.findById(req.params.id);
 
     if (!rule) {
       return res.status(404).json({
@@ -116,11 +140,32 @@ const updatePricingRule = async (req, res) => {
       });
     }
 
+    const revised = await reviseRule(rule, req.body, { actor: req.user });
+
     res.json({
       success: true,
-      data: rule,
+      data: revised,
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(", "),
+      });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: "Pricing rule with this name already exists",
+      });
+    }
     console.error("Update pricing rule error:", error);
     res.status(500).json({
       success: false,
@@ -129,12 +174,44 @@ const updatePricingRule = async (req, res) => {
   }
 };
 
-// @desc    Delete pricing rule
+// @desc    Get every version of a pricing rule
+// @route   GET /api/pricing/:id/versions
+// @access  Private/Admin
+const getPricingRuleVersions = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: "Pricing rule not found",
+      });
+    }
+
+    const versions = await PricingRule.find({ lineage: rule.lineage })
+      .populate("updatedBy", "firstName lastName email")
+      .sort({ version: 1 });
+
+    res.json({
+      success: true,
+      data: versions,
+    });
+  } catch (error) {
+    console.error("Get pricing rule versions error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching pricing rule versions",
+    });
+  }
+};
+
+// @desc    Retire pricing rule (ends it now; rules that never took effect
+//          are deleted)
 // @route   DELETE /api/pricing/:id
 // @access  Private/Admin
 const deletePricingRule = async (req, res) => {
   try {
-    const rule = await PricingRule.findByIdAndDelete(req.params.id);
+    const rule = await PricingRule.findById(req.params.id);
 
     if (!rule) {
       return res.status(404).json({
@@ -143,11 +220,20 @@ const deletePricingRule = async (req, res) => {
       });
     }
 
+    const { deleted } = await retireRule(rule);
+
     res.json({
       success: true,
-      message: "Pricing rule deleted",
+      message: deleted ? "Pricing rule deleted" : "Pricing rule retired",
+      data: deleted ? null : rule,
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
     console.error("Delete pricing rule error:", error);
     res.status(500).json({
       success: false,
@@ -156,22 +242,68 @@ const deletePricingRule = async (req, res) => {
   }
 };
 
+// @desc    Preview the price of an order as of a date
+// @route   POST /api/pricing/preview
+// @access  Private/Admin
+const previewPrice = async (req, res) => {
+  try {
+    const at = new Date(req.body.at);
+    const fields = getPricingFields(req.body, at);
+    const breakdown = await priceOrder(fields, { at });
+
+    res.json({
+      success: true,
+      data: {
+        at,
+        totalPrice: breakdown.totalPrice,
+        currency: breakdown.currency,
+        breakdown,
+        urgency: fields.urgency,
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      });
+    }
+    console.error("Preview price error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error previewing price",
+    });
+  }
+};
+
 // @desc    Calculate price preview
 // @route   POST /api/pricing/calculate
 // @access  Public
 const calculatePrice = async (req, res) => {
   try {
-    const price = await PricingRule.calculatePrice(req.body);
+    const quote = await issueQuote(req.body);
 
     res.json({
       success: true,
       data: {
-        totalPrice: price,
-        currency: "USD",
-        breakdown: req.body, // Echo back for transparency
+        totalPrice: quote.breakdown.totalPrice,
+        currency: quote.breakdown.currency,
+        breakdown: quote.breakdown,
+        urgency: quote.fields.urgency,
+        quoteId: quote.quoteId,
+        quoteToken: quote.quoteToken,
+        expiresAt: quote.expiresAt,
       },
     });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        ...(error.errors && { errors: error.errors }),
+      });
+    }
     console.error("Calculate price error:", error);
     res.status(500).json({
       success: false,
@@ -180,13 +312,44 @@ const calculatePrice = async (req, res) => {
   }
 };
 
-// @desc    Seed default pricing rules
+// @desc    Add any default pricing rules that don't exist yet
 // @route   POST /api/pricing/seed
 // @access  Private/Admin
 const seedPricingRules = async (req, res) => {
   try {
     // Default pricing rules
     const defaultRules = [
+      // Base rates (tutoring is priced per hour, quizzes per question)
+      {
+        name: "page_rate",
+        category: "base_rate",
+        appliesTo: "page",
+        tiers: [
+          { upTo: 50, rate: 15 },
+          { upTo: null, rate: 12 },
+        ],
+        displayName: "Per Page (15.00, 12.00 after 50 pages)",
+        displayOrder: 1,
+        priority: 10,
+      },
+      {
+        name: "hour_rate",
+        category: "base_rate",
+        appliesTo: "hour",
+        basePrice: 30,
+        displayName: "Per Tutoring Hour",
+        displayOrder: 2,
+        priority: 10,
+      },
+      {
+        name: "question_rate",
+        category: "base_rate",
+        appliesTo: "question",
+        basePrice: 2,
+        displayName: "Per Quiz Question",
+        displayOrder: 3,
+        priority: 10,
+      },
       // Education Level Multipliers
       {
         name: "high_school_level",
@@ -399,17 +562,64 @@ const seedPricingRules = async (req, res) => {
         displayOrder: 6,
         priority: 3,
       },
+      // Page count (volume discount)
+      {
+        name: "volume_discount_20_pages",
+        category: "page_count",
+        multiplier: 0.9,
+        appliesTo: "20+",
+        conditions: [{ field: "pageCount", operator: "gte", value: 20 }],
+        displayName: "Volume Discount (20+ pages)",
+        displayOrder: 1,
+        priority: 1,
+      },
+      // Compound rules (apply on top of the category multipliers)
+      {
+        name: "urgent_phd_thesis",
+        category: "conditional",
+        multiplier: 1.2,
+        appliesTo: "urgent_phd_thesis",
+        conditions: [
+          {
+            field: "taskType",
+            operator: "in",
+            value: ["thesis", "dissertation"],
+          },
+          { field: "educationLevel", operator: "eq", value: "phd" },
+          { field: "urgency", operator: "eq", value: "urgent" },
+        ],
+        displayName: "Urgent PhD Thesis",
+        displayOrder: 1,
+        priority: 1,
+      },
+      // Minimum charge (lowest priority, so it applies last)
+      {
+        name: "minimum_charge",
+        category: "conditional",
+        adjustment: "minimum",
+        amount: 10,
+        appliesTo: "minimum",
+        displayName: "Minimum Order Charge",
+        displayOrder: 2,
+        priority: 0,
+      },
     ];
 
-    // Delete existing rules
-    await PricingRule.deleteMany({});
+    // Never replace existing rules, so edits and version history are kept
+    const existing = await PricingRule.distinct("name", {
+      name: { $in: defaultRules.map((rule) => rule.name) },
+      supersededBy: { $exists: false },
+    });
+    const missing = defaultRules.filter(
+      (rule) => !existing.includes(rule.name),
+    );
 
-    // Insert new rules
-    const inserted = await PricingRule.insertMany(defaultRules);
+    const inserted =
+      missing.length > 0 ? await PricingRule.insertMany(missing) : [];
 
     res.json({
       success: true,
-      message: `Seeded ${inserted.length} pricing rules`,
+      message: `Seeded ${inserted.length} pricing rules (${existing.length} already existed)`,
       data: inserted,
     });
   } catch (error) {
@@ -426,7 +636,9 @@ module.exports = {
   getPricingRule,
   createPricingRule,
   updatePricingRule,
+  getPricingRuleVersions,
   deletePricingRule,
+  previewPrice,
   calculatePrice,
   seedPricingRules,
 };
@@ -0,0 +1,198 @@
+/**
+ * Refund Controller
+ * Handles admin review of refunds
+ */
+
+const Refund = require("../models/Refund");
+const Order = require("../models/Order");
+const { executeRefund } = require("../utils/refunds");
+
+// Respond when a refund isn't in the status an action expects
+const sendUnclaimable = async (res, id, expected = "pending_approval") => {
+  const refund = await Refund.findById(id);
+
+  if (!refund) {
+    return res.status(404).json({
+      success: false,
+      error: "Refund not found",
+    });
+  }
+
+  return res.status(409).json({
+    success: false,
+    error:
+      expected === "failed"
+        ? `Only failed or unfinished refunds can be retried; this one is ${refund.status}`
+        : `Refund is already ${refund.status}`,
+  });
+};
+
+// @desc    Get refunds
+// @route   GET /api/refunds
+// @access  Private/Admin
+const getRefunds = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await Refund.countDocuments(query);
+
+    const refunds = await Refund.find(query)
+      .populate("order", "orderNumber totalPrice currency status")
+      .populate("student", "firstName lastName email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: refunds,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get refunds error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching refunds",
+    });
+  }
+};
+
+// @desc    Approve a refund awaiting approval and process it
+// @route   PUT /api/refunds/:id/approve
+// @access  Private/Admin
+const approveRefund = async (req, res) => {
+  try {
+    // Claimed atomically so a double approval can't pay out twice
+    const refund = await Refund.findOneAndUpdate(
+      { _id: req.params.id, status: "pending_approval" },
+      {
+        $set: {
+          status: "approved",
+          reviewedBy: req.user._id,
+          reviewedAt: new Date(),
+          reviewNote: req.body.note || "",
+        },
+      },
+      { new: true },
+    );
+
+    if (!refund) {
+      return sendUnclaimable(res, req.params.id);
+    }
+
+    const order = await Order.findById(refund.order);
+
+    await executeRefund(refund, order, req.user);
+
+    res.json({
+      success: true,
+      data: refund,
+    });
+  } catch (error) {
+    console.error("Approve refund error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error approving refund",
+    });
+  }
+};
+
+// @desc    Retry a failed refund, or finish one whose order update failed
+// @route   PUT /api/refunds/:id/retry
+// @access  Private/Admin
+const retryRefund = async (req, res) => {
+  try {
+    // Failed refunds go back to the provider; refunds the provider has
+    // already paid out only have their order finished
+    const refund =
+      (await Refund.findOneAndUpdate(
+        { _id: req.params.id, status: "failed" },
+        { $set: { status: "approved", failureReason: null } },
+        { new: true },
+      )) ||
+      (await Refund.findOne({
+        _id: req.params.id,
+        status: "processed_order_pending",
+      }));
+
+    if (!refund) {
+      return sendUnclaimable(res, req.params.id, "failed");
+    }
+
+    const order = await Order.findById(refund.order);
+
+    await executeRefund(refund, order, req.user);
+
+    res.json({
+      success: true,
+      data: refund,
+    });
+  } catch (error) {
+    console.error("Retry refund error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error retrying refund",
+    });
+  }
+};
+
+// @desc    Reject a refund awaiting approval
+// @route   PUT /api/refunds/:id/reject
+// @access  Private/Admin
+const rejectRefund = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id);
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        error: "Refund not found",
+      });
+    }
+
+    if (refund.status !== "pending_approval") {
+      return res.status(409).json({
+        success: false,
+        error: `Refund is already ${refund.status}`,
+      });
+    }
+
+    refund.status = "rejected";
+    refund.reviewedBy = req.user._id;
+    refund.reviewedAt = new Date();
+    refund.reviewNote = req.body.note || "";
+
+    await refund.save();
+
+    res.json({
+      success: true,
+      data: refund,
+    });
+  } catch (error) {
+    console.error("Reject refund error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error rejecting refund",
+    });
+  }
+};
+
+module.exports = {
+  getRefunds,
+  approveRefund,
+  retryRefund,
+  rejectRefund,
+};
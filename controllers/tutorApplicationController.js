@@ -0,0 +1,346 @@
+/**
+ * Tutor Application Controller
+ * Handles students applying to become tutors and admin review
+ */
+
+const TutorApplication = require("../models/TutorApplication");
+const User = require("../models/User");
+const { changeRole } = require("../utils/roles");
+
+// Respond when an application is no longer awaiting review
+const sendUnreviewable = async (res, id) => {
+  const application = await TutorApplication.findById(id);
+
+  if (!application) {
+    return res.status(404).json({
+      success: false,
+      error: "Application not found",
+    });
+  }
+
+  return res.status(409).json({
+    success: false,
+    error: `Application is ${application.status}, not awaiting review`,
+  });
+};
+
+/**
+ * Claim a submitted application for a decision
+ * Atomic, so two admins can't both decide the same application
+ * @param {string} id - Application ID
+ * @param {string} status - "approved" or "rejected"
+ * @param {Object} req - Express request of the reviewing admin
+ * @returns {Promise<Object|null>} Claimed application, or null
+ */
+const claimForReview = (id, status, req) =>
+  TutorApplication.findOneAndUpdate(
+    { _id: id, status: "submitted" },
+    {
+      $set: {
+        status,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date(),
+        reviewNote: req.body.note || "",
+      },
+    },
+    { new: true },
+  );
+
+// @desc    Start a tutor application
+// @route   POST /api/tutor-applications
+// @access  Private (Student)
+const applyAsTutor = async (req, res) => {
+  try {
+    const existing = await TutorApplication.findOne({
+      user: req.user._id,
+      status: { $in: ["draft", "submitted"] },
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        error: "You already have an open tutor application",
+      });
+    }
+
+    const { bio, subjects, experienceYears } = req.body;
+
+    const application = await TutorApplication.create({
+      user: req.user._id,
+      bio,
+      subjects,
+      experienceYears,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    // Lost a race with another request starting an application
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        error: "You already have an open tutor application",
+      });
+    }
+    console.error("Apply as tutor error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error creating application",
+    });
+  }
+};
+
+// @desc    Get my latest tutor application
+// @route   GET /api/tutor-applications/me
+// @access  Private
+const getMyApplication = async (req, res) => {
+  try {
+    const application = await TutorApplication.findOne({
+      user: req.user._id,
+    }).sort({ createdAt: -1 });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: "No tutor application found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    console.error("Get my application error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching application",
+    });
+  }
+};
+
+// @desc    Submit qualifications for review
+// @route   PUT /api/tutor-applications/me/qualifications
+// @access  Private (Student)
+const submitQualifications = async (req, res) => {
+  try {
+    const application = await TutorApplication.findOne({
+      user: req.user._id,
+      status: { $in: ["draft", "submitted"] },
+    });
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: "Start a tutor application before submitting qualifications",
+      });
+    }
+
+    if (application.status !== "draft") {
+      return res.status(409).json({
+        success: false,
+        error: "Application has already been submitted for review",
+      });
+    }
+
+    application.qualifications = req.body.qualifications;
+    application.status = "submitted";
+    application.submittedAt = new Date();
+
+    await application.save();
+
+    res.json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        error: errors.join(", "),
+      });
+    }
+    console.error("Submit qualifications error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error submitting qualifications",
+    });
+  }
+};
+
+// @desc    Get tutor applications
+// @route   GET /api/tutor-applications
+// @access  Private/Admin
+const getApplications = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await TutorApplication.countDocuments(query);
+
+    const applications = await TutorApplication.find(query)
+      .populate("user", "firstName lastName email role")
+      .sort({ submittedAt: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: applications,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get applications error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching applications",
+    });
+  }
+};
+
+// @desc    Get a tutor application
+// @route   GET /api/tutor-applications/:id
+// @access  Private/Admin
+const getApplication = async (req, res) => {
+  try {
+    const application = await TutorApplication.findById(req.params.id)
+      .populate("user", "firstName lastName email role createdAt")
+      .populate("reviewedBy", "firstName lastName");
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: "Application not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    console.error("Get application error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching application",
+    });
+  }
+};
+
+// @desc    Approve an application and promote the applicant to tutor
+// @route   PUT /api/tutor-applications/:id/approve
+// @access  Private/Admin
+const approveApplication = async (req, res) => {
+  try {
+    const pending = await TutorApplication.findById(req.params.id);
+
+    if (!pending || pending.status !== "submitted") {
+      return sendUnreviewable(res, req.params.id);
+    }
+
+    const user = await User.findById(pending.user);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "Applicant not found",
+      });
+    }
+
+    if (user.role !== "student") {
+      return res.status(409).json({
+        success: false,
+        error: `Applicant is already a ${user.role}`,
+      });
+    }
+
+    const application = await claimForReview(req.params.id, "approved", req);
+
+    if (!application) {
+      return sendUnreviewable(res, req.params.id);
+    }
+
+    try {
+      await changeRole(user, "tutor", {
+        actor: req.user,
+        reason: application.reviewNote,
+        source: "tutor_application",
+        ipAddress: req.ip,
+      });
+    } catch (error) {
+      // Put it back up for review rather than approve without promoting
+      await TutorApplication.updateOne(
+        { _id: application._id, status: "approved" },
+        {
+          $set: {
+            status: "submitted",
+            reviewedBy: null,
+            reviewedAt: null,
+            reviewNote: "",
+          },
+        },
+      );
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    console.error("Approve application error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error approving application",
+    });
+  }
+};
+
+// @desc    Reject an application
+// @route   PUT /api/tutor-applications/:id/reject
+// @access  Private/Admin
+const rejectApplication = async (req, res) => {
+  try {
+    const application = await claimForReview(req.params.id, "rejected", req);
+
+    if (!application) {
+      return sendUnreviewable(res, req.params.id);
+    }
+
+    res.json({
+      success: true,
+      data: application,
+    });
+  } catch (error) {
+    console.error("Reject application error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error rejecting application",
+    });
+  }
+};
+
+module.exports = {
+  applyAsTutor,
+  getMyApplication,
+  submitQualifications,
+  getApplications,
+  getApplication,
+  approveApplication,
+  rejectApplication,
+};
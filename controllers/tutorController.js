@@ -0,0 +1,180 @@
+/**
+ * Tutor Controller
+ * Handles the tutor workspace for assigned orders
+ */
+
+const Order = require("../models/Order");
+
+/**
+ * Load an order assigned to the current tutor
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Order or null if not assigned to them
+ */
+const findAssignedOrder = (req) => {
+  return Order.findOne({
+    _id: req.params.id,
+    assignedTutor: req.user._id,
+  });
+};
+
+// @desc    Get orders assigned to current tutor
+// @route   GET /api/tutor/orders
+// @access  Private/Tutor
+const getAssignedOrders = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { assignedTutor: req.user._id };
+
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const total = await Order.countDocuments(query);
+
+    const orders = await Order.find(query)
+      .select("-adminNotes")
+      .populate("student", "firstName lastName")
+      .sort({ deadline: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: orders,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get assigned orders error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching orders",
+    });
+  }
+};
+
+// @desc    Get single assigned order
+// @route   GET /api/tutor/orders/:id
+// @access  Private/Tutor
+const getAssignedOrder = async (req, res) => {
+  try {
+    const order = await findAssignedOrder(req)
+      .select("-adminNotes")
+      .populate("student", "firstName lastName");
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    console.error("Get assigned order error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching order",
+    });
+  }
+};
+
+// @desc    Update progress on an assigned order
+// @route   PUT /api/tutor/orders/:id/progress
+// @access  Private/Tutor
+const updateProgress = async (req, res) => {
+  try {
+    const order = await findAssignedOrder(req);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      });
+    }
+
+    if (order.status !== "in_progress") {
+      return res.status(409).json({
+        success: false,
+        error: "Progress can only be updated on orders in progress",
+      });
+    }
+
+    order.progress = req.body.progress;
+    await order.save();
+
+    res.json({
+      success: true,
+      data: {
+        _id: order._id,
+        progress: order.progress,
+        status: order.status,
+      },
+    });
+  } catch (error) {
+    console.error("Update progress error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error updating progress",
+    });
+  }
+};
+
+// @desc    Submit an assigned order for review
+// @route   PUT /api/tutor/orders/:id/submit
+// @access  Private/Tutor
+const submitForReview = async (req, res) => {
+  try {
+    const order = await findAssignedOrder(req);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      });
+    }
+
+    order.transitionTo("review", {
+      actor: req.user,
+      reason: req.body.note,
+      note: "Submitted for review by tutor",
+    });
+    order.progress = 100;
+
+    await order.save();
+
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error("Submit for review error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error submitting order",
+    });
+  }
+};
+
+module.exports = {
+  getAssignedOrders,
+  getAssignedOrder,
+  updateProgress,
+  submitForReview,
+};
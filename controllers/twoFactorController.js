@@ -0,0 +1,261 @@
+/**
+ * Two-Factor Controller
+ * Handles TOTP enrollment, recovery codes and the second login step
+ */
+
+const User = require("../models/User");
+const { generateSecret, verifyCode, getOtpauthUrl } = require("../utils/totp");
+const {
+  isTwoFactorRequired,
+  verifyChallengeToken,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { createSession } = require("../utils/sessions");
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/auth/2fa/enroll
+// @access  Private
+const enroll = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl: getOtpauthUrl(secret, user.email),
+      },
+    });
+  } catch (error) {
+    console.error("2FA enroll error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with a code from the app
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+const confirm = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        error: "Start enrollment before confirming",
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid verification code",
+      });
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("2FA confirm error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disable = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(
+      `+password ${SECRET_FIELDS}`,
+    );
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        error: `Two-factor authentication is required for the ${user.role} role`,
+      });
+    }
+
+    const passwordOk = user.password
+      ? await user.comparePassword(req.body.password || "")
+      : true;
+
+    if (!passwordOk || !verifySecondFactor(user, req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid password or verification code",
+      });
+    }
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = null;
+
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid verification code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error",
+    });
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public (requires challenge token from login)
+const verifyLogin = async (req, res) => {
+  try {
+    const challenge = verifyChallengeToken(req.body.challengeToken);
+
+    const user = await User.findById(challenge.id).select(SECRET_FIELDS);
+
+    if (
+      !user ||
+      !user.isActive ||
+      !user.twoFactor.enabled ||
+      (challenge.tokenVersion ?? 0) !== user.tokenVersion
+    ) {
+      return res.status(401).json({
+        success: false,
+        error:
+          "Login challenge is invalid or has expired. Please log in again.",
+      });
+    }
+
+    if (!verifySecondFactor(user, req.body)) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid verification code",
+      });
+    }
+
+    user.lastLogin = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    const { token, refreshToken } = await createSession(
+      user,
+      req,
+      challenge.method,
+    );
+
+    res.json({
+      success: true,
+      data: {
+        user: await User.findById(user._id),
+        token,
+        refreshToken,
+        recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      },
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    console.error("2FA verify error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error during login",
+    });
+  }
+};
+
+module.exports = {
+  enroll,
+  confirm,
+  disable,
+  regenerateRecoveryCodes,
+  verifyLogin,
+};
@@ -1,20 +1,478 @@
-// controllers/usersController.js
+/**
+ * Users Controller
+ * Handles admin user management
+ */
+
 const User = require("../models/User");
+const Order = require("../models/Order");
+const Refund = require("../models/Refund");
+const AuditLog = require("../models/AuditLog");
+const { changeRole } = require("../utils/roles");
+const { revokeAllSessions } = require("../utils/sessions");
+const { deleteAccount } = require("../utils/accountDeletion");
+const { REFUNDED_STATUSES } = require("../utils/refunds");
+const { sendMail, clientUrl } = require("../utils/mailer");
+const {
+  BASE_ORDER_TOTAL,
+  toBaseAmount,
+  getBaseCurrency,
+} = require("../utils/currencies");
+
+// Admin-forced resets give the user longer than a self-service reset
+const FORCED_RESET_EXPIRE_HOURS = 24;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Summarize a user's orders as student and as tutor
+ * @param {Object} userId - User ObjectId
+ * @returns {Promise<Object>}
+ */
+const getOrderStats = async (userId) => {
+  const countByStatus = (match) =>
+    Order.aggregate([
+      { $match: match },
+      { $group: { _id: "$status", count: { $sum: 1 } } },
+    ]);
+
+  const [placed, assigned, paid, refunded, lastOrder] = await Promise.all([
+    countByStatus({ student: userId }),
+    countByStatus({ assignedTutor: userId }),
+    Order.aggregate([
+      {
+        $match: {
+          student: userId,
+          paymentStatus: { $in: ["paid", "partially_refunded", "refunded"] },
+        },
+      },
+      { $group: { _id: null, total: { $sum: BASE_ORDER_TOTAL } } },
+    ]),
+    Refund.aggregate([
+      { $match: { student: userId, status: { $in: REFUNDED_STATUSES } } },
+      { $group: { _id: null, total: { $sum: toBaseAmount("$amount") } } },
+    ]),
+    Order.findOne({ student: userId })
+      .sort({ createdAt: -1 })
+      .select("orderNumber status createdAt"),
+  ]);
+
+  const toSummary = (groups) => ({
+    total: groups.reduce((sum, group) => sum + group.count, 0),
+    byStatus: Object.fromEntries(
+      groups.map((group) => [group._id, group.count]),
+    ),
+  });
+
+  return {
+    asStudent: {
+      ...toSummary(placed),
+      // Totals are in the base currency
+      currency: getBaseCurrency(),
+      totalPaid: paid[0]?.total || 0,
+      totalRefunded: Math.round((refunded[0]?.total || 0) * 100) / 100,
+      lastOrder,
+    },
+    asTutor: toSummary(assigned),
+  };
+};
+
+/**
+ * Load the target user for an admin action
+ * Sends the error response and returns null if the action isn't allowed
+ */
+const findTargetUser = async (req, res) => {
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({
+      success: false,
+      error: "You cannot perform this action on your own account",
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: "User not found",
+    });
+    return null;
+  }
 
-const getAllUsers = async (req, res, next) => {
+  if (user.deletedAt) {
+    res.status(409).json({
+      success: false,
+      error: "User has been deleted",
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// @desc    Get users
+// @route   GET /api/users
+// @access  Private/Admin
+const getAllUsers = async (req, res) => {
   try {
-    const users = await User.find().select("-password").lean();
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+
+    if (req.query.includeDeleted !== "true") {
+      query.deletedAt = null;
+    }
+
+    if (req.query.role) {
+      query.role = req.query.role;
+    }
 
-    return res.status(200).json({
+    if (req.query.provider === "local") {
+      query.authProvider = "local";
+    } else if (req.query.provider) {
+      // Signed up with the provider, or linked it later. $and keeps this
+      // apart from the search $or below.
+      query.$and = [
+        {
+          $or: [
+            { authProvider: req.query.provider },
+            { "identities.provider": req.query.provider },
+          ],
+        },
+      ];
+    }
+
+    if (req.query.verified !== undefined) {
+      query.isVerified = req.query.verified === "true";
+    }
+
+    if (req.query.active !== undefined) {
+      query.isActive = req.query.active === "true";
+    }
+
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegex(req.query.search), "i");
+      query.$or = [
+        { email: pattern },
+        { firstName: pattern },
+        { lastName: pattern },
+      ];
+    }
+
+    const total = await User.countDocuments(query);
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
       success: true,
-      count: users.length,
       data: users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get users error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching users",
+    });
+  }
+};
+
+// @desc    Get a user with order stats
+// @route   GET /api/users/:id
+// @access  Private/Admin
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: "User not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        orderStats: await getOrderStats(user._id),
+      },
+    });
+  } catch (error) {
+    console.error("Get user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching user",
+    });
+  }
+};
+
+// @desc    Deactivate a user and sign them out everywhere
+// @route   PUT /api/users/:id/deactivate
+// @access  Private/Admin
+const deactivateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: "User is already deactivated",
+      });
+    }
+
+    user.isActive = false;
+    user.tokenVersion += 1;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllSessions(user._id, "account_deactivated");
+
+    await AuditLog.record({
+      action: "user.deactivate",
+      actor: req.user._id,
+      targetUser: user._id,
+      ipAddress: req.ip,
+      metadata: { reason: req.body.reason || "" },
+    });
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Deactivate user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error deactivating user",
+    });
+  }
+};
+
+// @desc    Reactivate a user
+// @route   PUT /api/users/:id/reactivate
+// @access  Private/Admin
+const reactivateUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.isActive) {
+      return res.status(409).json({
+        success: false,
+        error: "User is already active",
+      });
+    }
+
+    user.isActive = true;
+    await user.save({ validateBeforeSave: false });
+
+    await AuditLog.record({
+      action: "user.reactivate",
+      actor: req.user._id,
+      targetUser: user._id,
+      ipAddress: req.ip,
+      metadata: { reason: req.body.reason || "" },
+    });
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Reactivate user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error reactivating user",
+    });
+  }
+};
+
+// @desc    Require a user to reset their password
+// @route   POST /api/users/:id/force-password-reset
+// @access  Private/Admin
+const forcePasswordReset = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const resetToken = user.createPasswordResetToken(
+      FORCED_RESET_EXPIRE_HOURS * 60,
+    );
+    user.passwordResetRequired = true;
+    user.tokenVersion += 1;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllSessions(user._id, "password_reset_required");
+
+    await AuditLog.record({
+      action: "user.force_password_reset",
+      actor: req.user._id,
+      targetUser: user._id,
+      ipAddress: req.ip,
+      metadata: { reason: req.body.reason || "" },
+    });
+
+    // The requirement stands even if the email fails; the user can
+    // still get a new link through forgot-password
+    let emailSent = true;
+    try {
+      await sendMail({
+        to: user.email,
+        template: "passwordResetRequired",
+        data: {
+          user,
+          url: clientUrl(`/reset-password/${resetToken}`),
+          expiresInHours: FORCED_RESET_EXPIRE_HOURS,
+        },
+      });
+    } catch (mailError) {
+      console.error("Forced password reset email error:", mailError);
+      emailSent = false;
+    }
+
+    res.json({
+      success: true,
+      message: emailSent
+        ? "Password reset required. The user has been emailed a reset link."
+        : "Password reset required, but the email could not be sent.",
+      data: {
+        emailSent,
+      },
     });
   } catch (error) {
-    return next(error); // use your global error middleware
+    console.error("Force password reset error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error forcing password reset",
+    });
+  }
+};
+
+// @desc    Soft-delete and anonymize a user
+// @route   DELETE /api/users/:id
+// @access  Private/Admin
+const deleteUser = async (req, res) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    await deleteAccount(user, {
+      actor: req.user,
+      reason: req.body.reason,
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: "User deleted and personal data anonymized",
+    });
+  } catch (error) {
+    console.error("Delete user error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error deleting user",
+    });
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+const changeUserRole = async (req, res) => {
+  try {
+    const { role, reason } = req.body;
+
+    // Admins can't change their own role, so one always remains
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (user.role === role) {
+      return res.status(400).json({
+        success: false,
+        error: `User is already a ${role}`,
+      });
+    }
+
+    await changeRole(user, role, {
+      actor: req.user,
+      reason,
+      source: "admin",
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      data: user,
+    });
+  } catch (error) {
+    console.error("Change user role error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error changing role",
+    });
+  }
+};
+
+// @desc    Get audit log entries for a user
+// @route   GET /api/users/:id/audit-log
+// @access  Private/Admin
+const getUserAuditLog = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const query = { targetUser: req.params.id };
+
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+
+    const total = await AuditLog.countDocuments(query);
+
+    const entries = await AuditLog.find(query)
+      .populate("actor", "firstName lastName email")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    console.error("Get user audit log error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Server error fetching audit log",
+    });
   }
 };
 
 module.exports = {
   getAllUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  deleteUser,
+  changeUserRole,
+  getUserAuditLog,
 };
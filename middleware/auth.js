@@ -5,6 +5,57 @@
 
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const Session = require("../models/Session");
+const { isTwoFactorRequired } = require("../utils/twoFactor");
+
+// Don't write lastSeenAt on every request
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+// How long after signing in a session may make sensitive account changes
+const getRecentSignInMs = () =>
+  (parseInt(process.env.RECENT_SIGN_IN_MINUTES) || 10) * 60 * 1000;
+
+// Only access tokens are accepted for authentication; challenge, link and
+// other short-lived tokens use their own audience and secret
+const ACCESS_AUDIENCE = "access";
+
+/**
+ * Verify an access token
+ * @param {string} token - Bearer token
+ * @returns {Object} Decoded payload
+ */
+const verifyAccessToken = (token) =>
+  jwt.verify(token, process.env.JWT_SECRET, { audience: ACCESS_AUDIENCE });
+
+/**
+ * Check that the session a token belongs to is still active
+ * Every access token belongs to a session; tokens without one are rejected
+ * @param {Object} decoded - Decoded JWT payload
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} Session, or null if it can't be used
+ */
+const checkSession = async (decoded, req) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+
+  if (
+    !session ||
+    !session.isActive() ||
+    session.user.toString() !== decoded.id.toString()
+  ) {
+    return null;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_THROTTLE_MS) {
+    Session.updateOne(
+      { _id: session._id },
+      { $set: { lastSeenAt: new Date(), lastSeenIp: req.ip } },
+    ).catch((error) => console.error("Session touch failed:", error.message));
+  }
+
+  return session;
+};
 
 /**
  * Protect routes - require authentication
@@ -32,7 +83,7 @@ const protect = async (req, res, next) => {
 
     try {
       // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = verifyAccessToken(token);
 
       // Get user from database (exclude password)
       const user = await User.findById(decoded.id).select("-password");
@@ -60,8 +111,20 @@ const protect = async (req, res, next) => {
         });
       }
 
-      // Attach user to request
+      // Reject tokens from signed-out sessions
+      const session = await checkSession(decoded, req);
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: "Session has been revoked. Please log in again.",
+        });
+      }
+
+      // Attach user and session to request
       req.user = user;
+      req.sessionId = decoded.sid;
+      // Refreshing keeps the session, so this is when the user signed in
+      req.signedInAt = session.createdAt;
       next();
     } catch (error) {
       console.error("Token verification failed:", error.message);
@@ -95,12 +158,13 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const decoded = verifyAccessToken(token);
         const user = await User.findById(decoded.id).select("-password");
         if (
           user &&
           user.isActive &&
-          (decoded.tokenVersion ?? 0) === user.tokenVersion
+          (decoded.tokenVersion ?? 0) === user.tokenVersion &&
+          (await checkSession(decoded, req))
         ) {
           req.user = user;
         }
@@ -135,26 +199,50 @@ const authorize = (...roles) => {
         error: `User role '${req.user.role}' is not authorized to access this route`,
       });
     }
+    if (isTwoFactorRequired(req.user) && !req.user.twoFactor?.enabled) {
+      return res.status(403).json({
+        success: false,
+        error: `Two-factor authentication is required for the ${req.user.role} role. Enable it at /api/v1/auth/2fa/enroll.`,
+      });
+    }
     next();
   };
 };
 
 /**
- * Generate JWT token for user
+ * Require a recent sign-in for sensitive account changes
+ * A long-lived session (or a stolen refresh token) isn't enough; the user
+ * has to sign in again, with a password or a provider. Use after protect.
+ */
+const requireRecentSignIn = (req, res, next) => {
+  if (!req.signedInAt || Date.now() - req.signedInAt > getRecentSignInMs()) {
+    return res.status(403).json({
+      success: false,
+      error: "Please sign in again to make this change",
+    });
+  }
+  next();
+};
+
+/**
+ * Generate short-lived JWT access token for user
  * @param {Object} user - User object
+ * @param {string} sessionId - Session the token belongs to
  * @returns {string} JWT token
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId) => {
   return jwt.sign(
     {
       id: user._id,
       email: user.email,
       role: user.role,
       tokenVersion: user.tokenVersion ?? 0,
+      sid: sessionId.toString(),
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE || "7d",
+      audience: ACCESS_AUDIENCE,
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRE || "15m",
     },
   );
 };
@@ -163,5 +251,6 @@ module.exports = {
   protect,
   optionalAuth,
   authorize,
+  requireRecentSignIn,
   generateToken,
 };
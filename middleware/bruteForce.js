@@ -0,0 +1,319 @@
+/**
+ * Brute-Force Protection Middleware
+ * Tracks failed attempts per account and per IP and locks them out with
+ * exponentially growing delays
+ */
+
+const AuditLog = require("../models/AuditLog");
+const User = require("../models/User");
+const { getStore } = require("../utils/rateLimitStore");
+const { verifyChallengeToken } = require("../utils/twoFactor");
+const { verifyLinkToken } = require("../utils/accountLinking");
+
+// Failure counters are forgotten after a day without being reset
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read lockout settings from the environment
+ * @returns {Object}
+ */
+const getSettings = () => ({
+  accountAttempts: parseInt(process.env.BRUTE_FORCE_ACCOUNT_ATTEMPTS, 10) || 5,
+  ipAttempts: parseInt(process.env.BRUTE_FORCE_IP_ATTEMPTS, 10) || 20,
+  baseDelayMs:
+    (parseInt(process.env.BRUTE_FORCE_BASE_DELAY_SECONDS, 10) || 30) * 1000,
+  maxLockoutMs:
+    (parseInt(process.env.BRUTE_FORCE_MAX_LOCKOUT_MINUTES, 10) || 60) *
+    60 *
+    1000,
+});
+
+/**
+ * Lockout length after a number of failures
+ * Doubles with every failure past the free attempts, up to the maximum
+ * @param {number} failures - Failures in the current window
+ * @param {number} freeAttempts - Failures allowed before locking
+ * @param {Object} settings - From getSettings
+ * @returns {number} Milliseconds (0 = not locked)
+ */
+const getLockoutDuration = (failures, freeAttempts, settings) => {
+  if (failures < freeAttempts) return 0;
+  return Math.min(
+    settings.baseDelayMs * 2 ** (failures - freeAttempts),
+    settings.maxLockoutMs,
+  );
+};
+
+/**
+ * Format a wait for error messages
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? "" : "s"}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? "" : "s"}`;
+};
+
+/**
+ * Read the user ID from a challenge or link token
+ * @param {Function} verify - Token verifier that throws on invalid tokens
+ * @param {string} token - Token from the request body
+ * @returns {string|null} User ID, or null if the token is invalid
+ */
+const readSubject = (verify, token) => {
+  try {
+    return verify(token).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create a brute-force guard for an endpoint
+ * Each attempt is counted before the handler runs, so parallel requests
+ * can't all get in under the limit; attempts that don't fail are given back.
+ * @param {Object} options
+ * @param {string} options.name - Scope name used in keys and audit entries
+ * @param {boolean} [options.byEmail] - Also track req.body.email as the account
+ * @param {Function} [options.getSubject] - (req) => user ID being guessed at, or null
+ * @param {Function} [options.isFailure] - (res) => boolean; defaults to 401 responses
+ * @param {boolean} [options.resetOnSuccess] - Clear the account/subject counter on a 2xx response
+ * @param {number} [options.accountAttempts] - Override free attempts per account or subject
+ * @param {number} [options.ipAttempts] - Override free attempts per IP
+ */
+const bruteForce = ({
+  name,
+  byEmail = false,
+  getSubject,
+  isFailure = (res) => res.statusCode === 401,
+  resetOnSuccess = false,
+  accountAttempts,
+  ipAttempts,
+}) => {
+  const getTargets = (req, settings) => {
+    const targets = [
+      {
+        type: "ip",
+        id: req.ip,
+        freeAttempts: ipAttempts || settings.ipAttempts,
+      },
+    ];
+
+    const email =
+      byEmail && typeof req.body?.email === "string"
+        ? req.body.email.trim().toLowerCase()
+        : null;
+    if (email) {
+      targets.push({
+        type: "account",
+        id: email,
+        freeAttempts: accountAttempts || settings.accountAttempts,
+      });
+    }
+
+    const subject = getSubject ? getSubject(req) : null;
+    if (subject) {
+      targets.push({
+        type: "subject",
+        id: subject.toString(),
+        freeAttempts: accountAttempts || settings.accountAttempts,
+      });
+    }
+
+    return targets;
+  };
+
+  const failureKey = (target) => `${name}:${target.type}:${target.id}:failures`;
+  const lockKey = (target) => `${name}:${target.type}:${target.id}:lock`;
+
+  const getRetryAfter = async (targets) => {
+    const waits = await Promise.all(
+      targets.map((target) => getStore().ttl(lockKey(target))),
+    );
+    return Math.ceil(Math.max(0, ...waits) / 1000);
+  };
+
+  // Count an attempt as a failure until it proves otherwise. Once the free
+  // attempts are used up, only the request that takes the lock gets through.
+  const claimAttempt = async (target, settings) => {
+    const store = getStore();
+    const failures = await store.increment(
+      failureKey(target),
+      FAILURE_WINDOW_MS,
+    );
+    const duration = getLockoutDuration(
+      failures,
+      target.freeAttempts,
+      settings,
+    );
+    if (!duration) return { target, failures, allowed: true, locked: false };
+
+    const lockedUntil = new Date(Date.now() + duration);
+    const locked = await store.add(
+      lockKey(target),
+      lockedUntil.getTime(),
+      duration,
+    );
+
+    return {
+      target,
+      failures,
+      duration,
+      lockedUntil,
+      allowed: locked,
+      locked,
+    };
+  };
+
+  const releaseAttempt = async (claim) => {
+    const store = getStore();
+    await store.decrement(failureKey(claim.target));
+    if (claim.locked) await store.del(lockKey(claim.target));
+  };
+
+  const auditLockout = async (req, claim) => {
+    const { target } = claim;
+    let targetUser = null;
+    if (target.type === "account") {
+      const user = await User.findOne({ email: target.id }).select("_id");
+      targetUser = user ? user._id : null;
+    } else if (target.type === "subject") {
+      targetUser = target.id;
+    }
+
+    await AuditLog.record({
+      action: "auth.lockout",
+      targetUser,
+      ipAddress: req.ip,
+      metadata: {
+        scope: name,
+        keyType: target.type,
+        key: target.id,
+        failures: claim.failures,
+        durationSeconds: Math.ceil(claim.duration / 1000),
+        lockedUntil: claim.lockedUntil,
+      },
+    });
+  };
+
+  const recordOutcome = async (req, res, claims) => {
+    if (isFailure(res)) {
+      await Promise.all(
+        claims
+          .filter((claim) => claim.locked)
+          .map((claim) => auditLockout(req, claim)),
+      );
+      return;
+    }
+
+    await Promise.all(claims.map(releaseAttempt));
+
+    if (resetOnSuccess && res.statusCode >= 200 && res.statusCode < 300) {
+      // Only the account/subject counter resets; a valid login must not
+      // clear failures an IP has racked up against other accounts
+      const store = getStore();
+      await Promise.all(
+        claims
+          .filter(({ target }) => target.type !== "ip")
+          .map(({ target }) => store.del(failureKey(target))),
+      );
+    }
+  };
+
+  const sendTooManyAttempts = (res, retryAfter) => {
+    res.set("Retry-After", String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: `Too many attempts. Please try again in ${formatWait(retryAfter)}.`,
+      retryAfter,
+    });
+  };
+
+  return async (req, res, next) => {
+    try {
+      const settings = getSettings();
+      const targets = getTargets(req, settings);
+
+      const retryAfter = await getRetryAfter(targets);
+      if (retryAfter > 0) {
+        return sendTooManyAttempts(res, retryAfter);
+      }
+
+      const claims = await Promise.all(
+        targets.map((target) => claimAttempt(target, settings)),
+      );
+
+      // Another request took the lock first
+      if (claims.some((claim) => !claim.allowed)) {
+        await Promise.all(claims.map(releaseAttempt));
+        return sendTooManyAttempts(
+          res,
+          Math.max(1, await getRetryAfter(targets)),
+        );
+      }
+
+      res.on("finish", () => {
+        recordOutcome(req, res, claims).catch((error) =>
+          console.error("Brute force tracking error:", error),
+        );
+      });
+
+      next();
+    } catch (error) {
+      // Don't lock everyone out if the store is unavailable
+      console.error("Brute force guard error:", error);
+      next();
+    }
+  };
+};
+
+// Failed logins (wrong email/password)
+const loginGuard = bruteForce({
+  name: "login",
+  byEmail: true,
+  resetOnSuccess: true,
+});
+
+// Every reset request counts, so one address can't be flooded with mail
+const forgotPasswordGuard = bruteForce({
+  name: "forgot-password",
+  byEmail: true,
+  isFailure: () => true,
+  accountAttempts: 3,
+  ipAttempts: 10,
+});
+
+// Guessing reset tokens
+const resetPasswordGuard = bruteForce({
+  name: "reset-password",
+  isFailure: (res) => res.statusCode === 400,
+  ipAttempts: 10,
+});
+
+// Guessing second-factor codes, per IP and per challenged account
+const twoFactorGuard = bruteForce({
+  name: "2fa-verify",
+  getSubject: (req) =>
+    readSubject(verifyChallengeToken, req.body.challengeToken),
+  resetOnSuccess: true,
+  ipAttempts: 10,
+});
+
+// Guessing the password when confirming a provider link, per IP and per
+// account being linked
+const linkIdentityGuard = bruteForce({
+  name: "link-identity",
+  getSubject: (req) => readSubject(verifyLinkToken, req.body.linkToken),
+  resetOnSuccess: true,
+  ipAttempts: 10,
+});
+
+module.exports = {
+  bruteForce,
+  loginGuard,
+  forgotPasswordGuard,
+  resetPasswordGuard,
+  twoFactorGuard,
+  linkIdentityGuard,
+};
@@ -0,0 +1,45 @@
+/**
+ * Order Access Middleware
+ * Loads the order from :id and checks the user may act on it
+ */
+
+const Order = require("../models/Order");
+
+/**
+ * Load req.order if the user passes an Order permission method
+ * @param {string} permission - Order method name, e.g. "canBeViewedBy"
+ */
+const loadOrder = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const order = await Order.findById(req.params.id);
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          error: "Order not found",
+        });
+      }
+
+      if (!order[permission](req.user)) {
+        return res.status(403).json({
+          success: false,
+          error: "Not authorized to access this order",
+        });
+      }
+
+      req.order = order;
+      next();
+    } catch (error) {
+      console.error("Load order error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Server error fetching order",
+      });
+    }
+  };
+};
+
+module.exports = {
+  loadOrder,
+};
@@ -0,0 +1,80 @@
+/**
+ * Upload Middleware
+ * Parses multipart uploads for order files with size and type limits
+ */
+
+const multer = require("multer");
+const storage = require("../utils/storage");
+const { ApiError } = require("../utils/errorHandler");
+const { ALLOWED_EXTENSIONS, getContentType } = require("../utils/fileTypes");
+
+const MAX_FILES = 5;
+
+const getMaxFileSize = () =>
+  (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 20) * 1024 * 1024;
+
+const fileFilter = (req, file, cb) => {
+  const contentType = getContentType(file.originalname);
+  if (!contentType) {
+    return cb(
+      new ApiError(
+        400,
+        `Unsupported file type. Allowed: ${ALLOWED_EXTENSIONS.join(", ")}`,
+      ),
+      false,
+    );
+  }
+  // Stored and served with the type of its extension, not the client's
+  file.mimetype = contentType;
+  cb(null, true);
+};
+
+const errorMessages = {
+  LIMIT_FILE_SIZE: () =>
+    `Files cannot exceed ${getMaxFileSize() / (1024 * 1024)}MB`,
+  LIMIT_FILE_COUNT: () => `Cannot upload more than ${MAX_FILES} files at once`,
+  LIMIT_UNEXPECTED_FILE: () => 'Files must be sent in the "files" field',
+};
+
+/**
+ * Accept up to MAX_FILES files in the "files" field
+ * @param {string} folder - Storage folder for these files
+ */
+const uploadFiles = (folder) => {
+  const upload = multer({
+    storage: storage.engine(folder),
+    limits: { fileSize: getMaxFileSize(), files: MAX_FILES },
+    fileFilter,
+  }).array("files");
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = errorMessages[err.code];
+        return res.status(400).json({
+          success: false,
+          error: message ? message() : err.message,
+        });
+      }
+      if (err && err.isOperational) {
+        return res.status(err.statusCode).json({
+          success: false,
+          error: err.message,
+        });
+      }
+      if (err) return next(err);
+
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "No files uploaded",
+        });
+      }
+      next();
+    });
+  };
+};
+
+module.exports = {
+  uploadFiles,
+};
@@ -4,6 +4,39 @@
  */
 
 const { body, param, query, validationResult } = require("express-validator");
+const { ORDER_STATUSES } = require("../utils/orderStatus");
+const { PROVIDER_NAMES } = require("../utils/identityProviders");
+const {
+  PRICING_CATEGORIES,
+  ADJUSTMENTS,
+  UNIT_FIELDS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  getUnit,
+} = require("../utils/pricingEngine");
+
+const AMOUNT_ADJUSTMENTS = ADJUSTMENTS.filter(
+  (adjustment) => adjustment !== "multiplier",
+);
+
+const EDUCATION_LEVELS = ["high_school", "undergraduate", "graduate", "phd"];
+const TASK_TYPES = [
+  "essay",
+  "research_paper",
+  "technical_writing",
+  "editing",
+  "proofreading",
+  "research_assistance",
+  "tutoring",
+  "quiz",
+  "formatting",
+  "study_support",
+  "thesis",
+  "dissertation",
+  "case_study",
+  "report",
+  "presentation",
+];
 
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -54,10 +87,13 @@ const validateUserRegistration = [
       "Password must contain at least one uppercase letter, one lowercase letter, and one number",
     ),
 
+  // Tutors apply via /tutor-applications; admins are appointed
   body("role")
     .optional()
-    .isIn(["student", "tutor", "admin"])
-    .withMessage("Role must be one of: student, tutor, admin"),
+    .equals("student")
+    .withMessage(
+      "Only student accounts can be registered. Apply to become a tutor after signing up.",
+    ),
 
   handleValidationErrors,
 ];
@@ -108,33 +144,157 @@ const validateChangePassword = [
   handleValidationErrors,
 ];
 
+const validateSetPassword = [
+  body("newPassword")
+    .notEmpty()
+    .withMessage("New password is required")
+    .isLength({ min: 8 })
+    .withMessage("New password must be at least 8 characters")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "New password must contain at least one uppercase letter, one lowercase letter, and one number",
+    ),
+
+  handleValidationErrors,
+];
+
+const validateProviderParam = [
+  param("provider")
+    .isIn(PROVIDER_NAMES)
+    .withMessage(`Provider must be one of: ${PROVIDER_NAMES.join(", ")}`),
+
+  handleValidationErrors,
+];
+
+const validateLinkConfirmation = [
+  param("provider")
+    .isIn(PROVIDER_NAMES)
+    .withMessage(`Provider must be one of: ${PROVIDER_NAMES.join(", ")}`),
+
+  body("linkToken")
+    .notEmpty()
+    .withMessage("Link token is required")
+    .isJWT()
+    .withMessage("Invalid link token"),
+
+  body("password").notEmpty().withMessage("Password is required"),
+
+  handleValidationErrors,
+];
+
+const validateRefreshToken = [
+  body("refreshToken")
+    .isString()
+    .withMessage("Refresh token is required")
+    .isHexadecimal()
+    .withMessage("Invalid refresh token"),
+
+  handleValidationErrors,
+];
+
+const validateAuthCodeExchange = [
+  body("code")
+    .isString()
+    .withMessage("Authorization code is required")
+    .isHexadecimal()
+    .withMessage("Invalid authorization code")
+    .isLength({ min: 64, max: 64 })
+    .withMessage("Invalid authorization code"),
+
+  handleValidationErrors,
+];
+
+// Two-factor validation rules
+const totpCodeRule = body("code")
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage("Verification code must be 6 digits");
+
+// Either a TOTP code or a recovery code
+const secondFactorRules = [
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Verification code must be 6 digits"),
+
+  body("recoveryCode")
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-[a-f0-9]{5}$/i)
+    .withMessage("Invalid recovery code"),
+];
+
+const validateTwoFactorCode = [totpCodeRule, handleValidationErrors];
+
+const validateSecondFactor = [...secondFactorRules, handleValidationErrors];
+
+const validateTwoFactorLogin = [
+  body("challengeToken")
+    .notEmpty()
+    .withMessage("Challenge token is required")
+    .isJWT()
+    .withMessage("Invalid challenge token"),
+
+  ...secondFactorRules,
+
+  handleValidationErrors,
+];
+
+// Quantity each task type is priced by (pages, tutoring hours or quiz
+// questions); required when the task type isn't priced per page
+const quantityRequiredFor = (field) =>
+  body(field).if(
+    body("taskType").custom(
+      (taskType) => UNIT_FIELDS[getUnit(taskType)] === field,
+    ),
+  );
+
+const orderQuantityRules = [
+  body("pageCount")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Page count must be between 1 and 200"),
+
+  quantityRequiredFor("hours")
+    .notEmpty()
+    .withMessage("Hours are required for tutoring"),
+
+  body("hours")
+    .optional()
+    .isFloat({ min: 0.5, max: 100 })
+    .withMessage("Hours must be between 0.5 and 100"),
+
+  quantityRequiredFor("questionCount")
+    .notEmpty()
+    .withMessage("Question count is required for quizzes"),
+
+  body("questionCount")
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage("Question count must be between 1 and 500"),
+];
+
+// ISO 4217 currency code, upper-cased
+const currencyCodeRule = (field) =>
+  field
+    .trim()
+    .toUpperCase()
+    .isISO4217()
+    .withMessage("Must be an ISO 4217 currency code, e.g. EUR");
+
 // Order validation rules
 const validateOrderCreation = [
   body("educationLevel")
     .notEmpty()
     .withMessage("Education level is required")
-    .isIn(["high_school", "undergraduate", "graduate", "phd"])
+    .isIn(EDUCATION_LEVELS)
     .withMessage("Invalid education level"),
 
   body("taskType")
     .notEmpty()
     .withMessage("Task type is required")
-    .isIn([
-      "essay",
-      "research_paper",
-      "technical_writing",
-      "editing",
-      "proofreading",
-      "research_assistance",
-      "tutoring",
-      "formatting",
-      "study_support",
-      "thesis",
-      "dissertation",
-      "case_study",
-      "report",
-      "presentation",
-    ])
+    .isIn(TASK_TYPES)
     .withMessage("Invalid task type"),
 
   body("subject")
@@ -170,10 +330,7 @@ const validateOrderCreation = [
       return true;
     }),
 
-  body("pageCount")
-    .optional()
-    .isInt({ min: 1, max: 200 })
-    .withMessage("Page count must be between 1 and 200"),
+  ...orderQuantityRules,
 
   body("complexityLevel")
     .optional()
@@ -196,6 +353,17 @@ const validateOrderCreation = [
     .isLength({ max: 2000 })
     .withMessage("Additional instructions cannot exceed 2000 characters"),
 
+  body("quoteToken").optional().isJWT().withMessage("Invalid price quote"),
+
+  currencyCodeRule(body("currency")).optional(),
+
+  body("couponCode")
+    .optional({ values: "falsy" })
+    .isString()
+    .trim()
+    .isLength({ max: 32 })
+    .withMessage("Invalid coupon code"),
+
   handleValidationErrors,
 ];
 
@@ -204,9 +372,15 @@ const validateOrderUpdate = [
 
   body("status")
     .optional()
-    .isIn(["pending", "in_progress", "review", "completed", "cancelled"])
+    .isIn(ORDER_STATUSES)
     .withMessage("Invalid status"),
 
+  body("statusNote")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Status note cannot exceed 500 characters"),
+
   body("adminNotes")
     .optional()
     .trim()
@@ -222,6 +396,326 @@ const validateOrderId = [
   handleValidationErrors,
 ];
 
+const validateCheckout = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+
+  body("billTo")
+    .optional()
+    .isIn(["personal", "organization"])
+    .withMessage("billTo must be personal or organization"),
+
+  handleValidationErrors,
+];
+
+const validateTutorAssignment = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+
+  body("tutorId").isMongoId().withMessage("Invalid tutor ID"),
+
+  handleValidationErrors,
+];
+
+const validateProgressUpdate = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+
+  body("progress")
+    .isInt({ min: 0, max: 100 })
+    .withMessage("Progress must be between 0 and 100")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+const validateOrderFile = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+
+  param("fileId").isMongoId().withMessage("Invalid file ID"),
+
+  handleValidationErrors,
+];
+
+const validateMessage = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+
+  body("body")
+    .trim()
+    .notEmpty()
+    .withMessage("Message cannot be empty")
+    .isLength({ max: 5000 })
+    .withMessage("Message cannot exceed 5000 characters"),
+
+  body("internal")
+    .optional()
+    .isBoolean()
+    .withMessage("Internal must be true or false")
+    .toBoolean(),
+
+  handleValidationErrors,
+];
+
+const validateMarkMessagesRead = [
+  param("id").isMongoId().withMessage("Invalid order ID"),
+
+  body("messageIds")
+    .optional()
+    .isArray()
+    .withMessage("Message IDs must be an array"),
+
+  body("messageIds.*").isMongoId().withMessage("Invalid message ID"),
+
+  handleValidationErrors,
+];
+
+const validateMongoId = [
+  param("id").isMongoId().withMessage("Invalid ID"),
+
+  handleValidationErrors,
+];
+
+// Password and second factor are checked against the account itself
+const validateAccountDeletion = [
+  body("password")
+    .optional()
+    .isString()
+    .withMessage("Password must be a string"),
+
+  body("code")
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Verification code must be 6 digits"),
+
+  body("recoveryCode")
+    .optional()
+    .trim()
+    .matches(/^[a-f0-9]{5}-[a-f0-9]{5}$/i)
+    .withMessage("Invalid recovery code"),
+
+  handleValidationErrors,
+];
+
+const validateExportFormat = [
+  query("format")
+    .optional()
+    .isIn(["json", "zip"])
+    .withMessage("Format must be json or zip"),
+
+  handleValidationErrors,
+];
+
+// Tutor application validation rules
+const validateTutorApplication = [
+  body("bio")
+    .trim()
+    .notEmpty()
+    .withMessage("Bio is required")
+    .isLength({ max: 2000 })
+    .withMessage("Bio cannot exceed 2000 characters"),
+
+  body("subjects")
+    .isArray({ min: 1, max: 20 })
+    .withMessage("Subjects must be a list of 1 to 20 subjects"),
+
+  body("subjects.*")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Subjects cannot be empty")
+    .isLength({ max: 100 })
+    .withMessage("Subject cannot exceed 100 characters"),
+
+  body("experienceYears")
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage("Experience must be between 0 and 60 years")
+    .toInt(),
+
+  handleValidationErrors,
+];
+
+const validateQualifications = [
+  body("qualifications")
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Provide between 1 and 10 qualifications"),
+
+  body("qualifications.*.title")
+    .trim()
+    .notEmpty()
+    .withMessage("Qualification title is required")
+    .isLength({ max: 200 })
+    .withMessage("Title cannot exceed 200 characters"),
+
+  body("qualifications.*.institution")
+    .trim()
+    .notEmpty()
+    .withMessage("Institution is required")
+    .isLength({ max: 200 })
+    .withMessage("Institution cannot exceed 200 characters"),
+
+  body("qualifications.*.year")
+    .optional()
+    .isInt({ min: 1950, max: new Date().getFullYear() })
+    .withMessage("Invalid qualification year")
+    .toInt(),
+
+  body("qualifications.*.documentUrl")
+    .optional()
+    .isURL()
+    .withMessage("Document URL must be a valid URL"),
+
+  handleValidationErrors,
+];
+
+const validateApplicationRejection = [
+  param("id").isMongoId().withMessage("Invalid application ID"),
+
+  body("note")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required when rejecting an application")
+    .isLength({ max: 1000 })
+    .withMessage("Reason cannot exceed 1000 characters"),
+
+  handleValidationErrors,
+];
+
+// Admin user management validation rules
+const validateUserQuery = [
+  query("role")
+    .optional()
+    .isIn(["student", "tutor", "admin"])
+    .withMessage("Role must be one of: student, tutor, admin"),
+
+  query("provider")
+    .optional()
+    .isIn(["local", ...PROVIDER_NAMES])
+    .withMessage(
+      `Provider must be one of: ${["local", ...PROVIDER_NAMES].join(", ")}`,
+    ),
+
+  query(["verified", "active", "includeDeleted"])
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("Must be true or false"),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+
+  handleValidationErrors,
+];
+
+const validateAdminUserAction = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+const validateRoleChange = [
+  param("id").isMongoId().withMessage("Invalid user ID"),
+
+  body("role")
+    .isIn(["student", "tutor", "admin"])
+    .withMessage("Role must be one of: student, tutor, admin"),
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required for role changes")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+
+  handleValidationErrors,
+];
+
+// Optional pricing rule fields shared by create and update (null clears a
+// window bound)
+const pricingRuleOptions = [
+  body(["validFrom", "validUntil"])
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Must be an ISO 8601 date")
+    .toDate(),
+
+  body("validUntil")
+    .optional({ values: "null" })
+    .custom((validUntil, { req }) => {
+      if (req.body.validFrom && validUntil <= req.body.validFrom) {
+        throw new Error("validUntil must be after validFrom");
+      }
+      return true;
+    }),
+
+  body("priority")
+    .optional()
+    .isInt({ min: 0, max: 1000 })
+    .withMessage("Priority must be between 0 and 1000")
+    .toInt(),
+
+  body("adjustment")
+    .optional()
+    .isIn(ADJUSTMENTS)
+    .withMessage("Adjustment must be multiplier, fee, cap or minimum"),
+
+  body("amount")
+    .if(body("adjustment").isIn(AMOUNT_ADJUSTMENTS))
+    .notEmpty()
+    .withMessage("Amount is required for fees, caps and minimums"),
+
+  body("amount")
+    .optional()
+    .isFloat({ min: -100000, max: 100000 })
+    .withMessage("Amount must be a number")
+    .toFloat(),
+
+  body("conditions")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Conditions must be a list of at most 10 conditions"),
+
+  body("conditions.*.field")
+    .isIn(CONDITION_FIELDS)
+    .withMessage("Invalid condition field"),
+
+  body("conditions.*.operator")
+    .isIn(CONDITION_OPERATORS)
+    .withMessage("Invalid condition operator"),
+
+  body("conditions.*.value")
+    .exists({ values: "null" })
+    .withMessage("Condition value is required"),
+
+  body("basePrice")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Base price cannot be negative")
+    .toFloat(),
+
+  body("tiers")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Tiers must be a list of at most 10 tiers"),
+
+  body("tiers.*.upTo")
+    .optional({ values: "null" })
+    .isFloat({ min: 1 })
+    .withMessage("Tier bounds must be at least 1")
+    .toFloat(),
+
+  body("tiers.*.rate")
+    .isFloat({ min: 0 })
+    .withMessage("Tier rates cannot be negative")
+    .toFloat(),
+];
+
 // Pricing validation rules
 const validatePricingRule = [
   body("name")
@@ -234,17 +728,12 @@ const validatePricingRule = [
   body("category")
     .notEmpty()
     .withMessage("Category is required")
-    .isIn([
-      "education_level",
-      "task_type",
-      "urgency",
-      "complexity",
-      "page_count",
-      "citation_style",
-    ])
+    .isIn(PRICING_CATEGORIES)
     .withMessage("Invalid category"),
 
   body("multiplier")
+    .if(body("adjustment").not().isIn(AMOUNT_ADJUSTMENTS))
+    .if(body("category").not().equals("base_rate"))
     .isFloat({ min: 0.1, max: 10 })
     .withMessage("Multiplier must be between 0.1 and 10"),
 
@@ -255,6 +744,404 @@ const validatePricingRule = [
 
   body("displayName").trim().notEmpty().withMessage("Display name is required"),
 
+  ...pricingRuleOptions,
+
+  handleValidationErrors,
+];
+
+const validatePricingRuleUpdate = [
+  param("id").isMongoId().withMessage("Invalid ID"),
+
+  body(["name", "appliesTo", "displayName"])
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Cannot be empty"),
+
+  body("category")
+    .optional()
+    .isIn(PRICING_CATEGORIES)
+    .withMessage("Invalid category"),
+
+  body("multiplier")
+    .optional()
+    .isFloat({ min: 0.1, max: 10 })
+    .withMessage("Multiplier must be between 0.1 and 10"),
+
+  ...pricingRuleOptions,
+
+  handleValidationErrors,
+];
+
+const validatePricingRuleQuery = [
+  query("at").optional().isISO8601().withMessage("at must be an ISO 8601 date"),
+
+  query("all")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("all must be true or false"),
+
+  handleValidationErrors,
+];
+
+const validatePricePreview = [
+  body("at")
+    .notEmpty()
+    .withMessage("at is required")
+    .isISO8601()
+    .withMessage("at must be an ISO 8601 date"),
+
+  ...orderQuantityRules,
+
+  currencyCodeRule(body("currency")).optional(),
+
+  handleValidationErrors,
+];
+
+// Coupon validation rules (optional() so updates can send a subset)
+const couponRules = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot exceed 500 characters"),
+
+  body("maxDiscount")
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Maximum discount cannot be negative")
+    .toFloat(),
+
+  body("minOrderValue")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum order value cannot be negative")
+    .toFloat(),
+
+  body("eligibleTaskTypes")
+    .optional()
+    .isArray()
+    .withMessage("eligibleTaskTypes must be a list"),
+
+  body("eligibleTaskTypes.*").isIn(TASK_TYPES).withMessage("Invalid task type"),
+
+  body("eligibleEducationLevels")
+    .optional()
+    .isArray()
+    .withMessage("eligibleEducationLevels must be a list"),
+
+  body("eligibleEducationLevels.*")
+    .isIn(EDUCATION_LEVELS)
+    .withMessage("Invalid education level"),
+
+  body(["startsAt", "expiresAt"])
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Dates must be ISO 8601")
+    .toDate(),
+
+  body(["maxRedemptions", "maxRedemptionsPerUser"])
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Redemption limits must be at least 1")
+    .toInt(),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false")
+    .toBoolean(),
+];
+
+const couponCodeRule = () =>
+  body("code")
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_-]{3,32}$/)
+    .withMessage("Code must be 3-32 letters, digits, dashes or underscores");
+
+const validateCoupon = [
+  couponCodeRule(),
+
+  body("discountType")
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be percentage or fixed"),
+
+  body("value")
+    .isFloat({ gt: 0 })
+    .withMessage("Discount value must be positive")
+    .toFloat(),
+
+  ...couponRules,
+
+  handleValidationErrors,
+];
+
+const validateCouponUpdate = [
+  param("id").isMongoId().withMessage("Invalid coupon ID"),
+
+  couponCodeRule().optional(),
+
+  body("discountType")
+    .optional()
+    .isIn(["percentage", "fixed"])
+    .withMessage("Discount type must be percentage or fixed"),
+
+  body("value")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Discount value must be positive")
+    .toFloat(),
+
+  ...couponRules,
+
+  handleValidationErrors,
+];
+
+const validateCouponQuery = [
+  query("active")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("active must be true or false"),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 32 })
+    .withMessage("Search cannot exceed 32 characters"),
+
+  handleValidationErrors,
+];
+
+const validateCouponReport = [
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Dates must be ISO 8601, e.g. 2024-09-01"),
+
+  handleValidationErrors,
+];
+
+const validateCouponRedemptionQuery = [
+  param("id").isMongoId().withMessage("Invalid coupon ID"),
+
+  query("status")
+    .optional()
+    .isIn(["redeemed", "released"])
+    .withMessage("Status must be redeemed or released"),
+
+  handleValidationErrors,
+];
+
+// Currency validation rules (optional() so updates can send a subset)
+const currencyRules = [
+  body("symbol")
+    .optional()
+    .trim()
+    .isLength({ max: 5 })
+    .withMessage("Symbol cannot exceed 5 characters"),
+
+  body("decimals")
+    .optional()
+    .isInt({ min: 0, max: 4 })
+    .withMessage("Decimals must be between 0 and 4")
+    .toInt(),
+
+  body("roundingIncrement")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Rounding increment must be positive")
+    .toFloat(),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false")
+    .toBoolean(),
+];
+
+const validateCurrency = [
+  currencyCodeRule(body("code")),
+
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Currency name is required")
+    .isLength({ max: 50 })
+    .withMessage("Name cannot exceed 50 characters"),
+
+  body("rate")
+    .isFloat({ gt: 0 })
+    .withMessage("Exchange rate must be a positive number")
+    .toFloat(),
+
+  ...currencyRules,
+
+  handleValidationErrors,
+];
+
+const validateCurrencyUpdate = [
+  currencyCodeRule(param("code")),
+
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Currency name cannot be empty")
+    .isLength({ max: 50 })
+    .withMessage("Name cannot exceed 50 characters"),
+
+  body("rate")
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage("Exchange rate must be a positive number")
+    .toFloat(),
+
+  ...currencyRules,
+
+  handleValidationErrors,
+];
+
+const validateCurrencyCode = [
+  currencyCodeRule(param("code")),
+
+  handleValidationErrors,
+];
+
+// Organization validation rules
+const organizationRules = [
+  body("domains")
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage("Domains must be a list of at most 20 domains"),
+
+  body("domains.*")
+    .isString()
+    .trim()
+    .toLowerCase()
+    .isFQDN()
+    .withMessage("Domains must be valid domain names, e.g. uni.edu"),
+
+  body("autoJoin")
+    .optional()
+    .isBoolean()
+    .withMessage("autoJoin must be true or false")
+    .toBoolean(),
+
+  body("billing.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("billing.enabled must be true or false")
+    .toBoolean(),
+
+  body(["billing.perOrderLimit", "billing.monthlyBudget"])
+    .optional({ values: "null" })
+    .isFloat({ min: 0 })
+    .withMessage("Billing limits must be a positive amount or null")
+    .toFloat(),
+
+  body("billing.billingEmail")
+    .optional({ values: "null" })
+    .isEmail()
+    .withMessage("Please provide a valid billing email")
+    .normalizeEmail(),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be true or false")
+    .toBoolean(),
+];
+
+const validateOrganization = [
+  body("name")
+    .trim()
+    .notEmpty()
+    .withMessage("Organization name is required")
+    .isLength({ max: 200 })
+    .withMessage("Name cannot exceed 200 characters"),
+
+  ...organizationRules,
+
+  handleValidationErrors,
+];
+
+const validateOrganizationUpdate = [
+  param("id").isMongoId().withMessage("Invalid organization ID"),
+
+  body("name")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Organization name cannot be empty")
+    .isLength({ max: 200 })
+    .withMessage("Name cannot exceed 200 characters"),
+
+  ...organizationRules,
+
+  handleValidationErrors,
+];
+
+const validateOrganizationMember = [
+  param("id").isMongoId().withMessage("Invalid organization ID"),
+
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email")
+    .normalizeEmail(),
+
+  body("role")
+    .optional()
+    .isIn(["member", "admin"])
+    .withMessage("Role must be member or admin"),
+
+  handleValidationErrors,
+];
+
+const validateOrganizationMemberRole = [
+  param("id").isMongoId().withMessage("Invalid organization ID"),
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+
+  body("role")
+    .isIn(["member", "admin"])
+    .withMessage("Role must be member or admin"),
+
+  handleValidationErrors,
+];
+
+const validateOrganizationMemberId = [
+  param("id").isMongoId().withMessage("Invalid organization ID"),
+  param("userId").isMongoId().withMessage("Invalid user ID"),
+
+  handleValidationErrors,
+];
+
+const validateOrganizationReport = [
+  param("id").isMongoId().withMessage("Invalid organization ID"),
+
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Dates must be ISO 8601, e.g. 2024-09-01"),
+
+  query("status")
+    .optional()
+    .isIn(ORDER_STATUSES)
+    .withMessage("Invalid order status"),
+
+  query("member").optional().isMongoId().withMessage("Invalid member ID"),
+
+  query("billed")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("billed must be true or false"),
+
+  query("search")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Search cannot exceed 100 characters"),
+
   handleValidationErrors,
 ];
 
@@ -279,9 +1166,49 @@ module.exports = {
   validateUserLogin,
   validatePasswordReset,
   validateChangePassword,
+  validateSetPassword,
+  validateProviderParam,
+  validateLinkConfirmation,
+  validateRefreshToken,
+  validateAuthCodeExchange,
+  validateTwoFactorCode,
+  validateSecondFactor,
+  validateTwoFactorLogin,
+  validateAccountDeletion,
+  validateExportFormat,
   validateOrderCreation,
   validateOrderUpdate,
   validateOrderId,
+  validateCheckout,
+  validateOrderFile,
+  validateMessage,
+  validateMarkMessagesRead,
+  validateMongoId,
+  validateTutorAssignment,
+  validateProgressUpdate,
+  validateTutorApplication,
+  validateQualifications,
+  validateApplicationRejection,
+  validateUserQuery,
+  validateAdminUserAction,
+  validateRoleChange,
   validatePricingRule,
+  validatePricingRuleUpdate,
+  validatePricingRuleQuery,
+  validatePricePreview,
+  validateCoupon,
+  validateCouponUpdate,
+  validateCouponQuery,
+  validateCouponReport,
+  validateCouponRedemptionQuery,
+  validateCurrency,
+  validateCurrencyUpdate,
+  validateCurrencyCode,
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateOrganizationMember,
+  validateOrganizationMemberRole,
+  validateOrganizationMemberId,
+  validateOrganizationReport,
   validatePagination,
 };
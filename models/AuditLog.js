@@ -0,0 +1,63 @@
+/**
+ * AuditLog Model
+ * Append-only record of security-relevant events
+ */
+
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema(
+  {
+    // Event name, e.g. "auth.lockout"
+    action: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+
+    // User who performed the action (null for anonymous/system events)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    // User the action was performed on, if any
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+
+    // Event-specific details
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetUser: 1, createdAt: -1 });
+
+/**
+ * Record an event without letting audit failures break the request
+ * @param {Object} entry - { action, actor, targetUser, ipAddress, metadata }
+ */
+auditLogSchema.statics.record = async function (entry) {
+  try {
+    await this.create(entry);
+  } catch (error) {
+    console.error("Audit log error:", error.message);
+  }
+};
+
+// Export audit log model
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -0,0 +1,184 @@
+/**
+ * Coupon Model
+ * Discount codes students can apply when pricing an order
+ *
+ * Redemptions are recorded in CouponRedemption; redemptionCount is the
+ * number of live (not released) redemptions and enforces the global cap.
+ */
+
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    // Code students enter; stored upper-case
+    code: {
+      type: String,
+      required: [true, "Coupon code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [
+        /^[A-Z0-9_-]{3,32}$/,
+        "Code must be 3-32 letters, digits, dashes or underscores",
+      ],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Description cannot exceed 500 characters"],
+    },
+
+    // Discount
+    discountType: {
+      type: String,
+      required: true,
+      enum: {
+        values: ["percentage", "fixed"],
+        message: "Discount type must be percentage or fixed",
+      },
+    },
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0.01, "Discount value must be positive"],
+    },
+    // Largest discount a percentage coupon gives; null means no cap
+    maxDiscount: {
+      type: Number,
+      min: [0, "Maximum discount cannot be negative"],
+      default: null,
+    },
+
+    // Eligibility
+    minOrderValue: {
+      type: Number,
+      min: [0, "Minimum order value cannot be negative"],
+      default: 0,
+    },
+    // Empty lists mean every task type / education level
+    eligibleTaskTypes: {
+      type: [String],
+      default: [],
+    },
+    eligibleEducationLevels: {
+      type: [String],
+      default: [],
+    },
+    startsAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Usage caps; null means unlimited
+    maxRedemptions: {
+      type: Number,
+      min: [1, "Maximum redemptions must be at least 1"],
+      default: null,
+    },
+    maxRedemptionsPerUser: {
+      type: Number,
+      min: [1, "Maximum redemptions per user must be at least 1"],
+      default: 1,
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+couponSchema.pre("validate", function (next) {
+  if (this.discountType === "percentage" && this.value > 100) {
+    this.invalidate("value", "Percentage discount cannot exceed 100");
+  }
+  if (this.startsAt && this.expiresAt && this.expiresAt <= this.startsAt) {
+    this.invalidate("expiresAt", "expiresAt must be after startsAt");
+  }
+  next();
+});
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Explain why the coupon can't be applied to an order
+ * Usage caps are checked separately when the coupon is redeemed.
+ * @param {Object} fields - Pricing fields (taskType, educationLevel)
+ * @param {number} subtotal - Order price before the discount
+ * @param {Date} [at] - Defaults to now
+ * @returns {string|null} Reason, or null if the coupon applies
+ */
+couponSchema.methods.getIneligibilityReason = function (
+  fields,
+  subtotal,
+  at = new Date(),
+) {
+  if (!this.isActive) return "This coupon is no longer active";
+  if (this.startsAt && this.startsAt > at) {
+    return "This coupon is not valid yet";
+  }
+  if (this.expiresAt && this.expiresAt <= at) {
+    return "This coupon has expired";
+  }
+  if (
+    this.maxRedemptions !== null &&
+    this.redemptionCount >= this.maxRedemptions
+  ) {
+    return "This coupon has been fully redeemed";
+  }
+  if (
+    this.eligibleTaskTypes.length > 0 &&
+    !this.eligibleTaskTypes.includes(fields.taskType)
+  ) {
+    return "This coupon does not apply to this task type";
+  }
+  if (
+    this.eligibleEducationLevels.length > 0 &&
+    !this.eligibleEducationLevels.includes(fields.educationLevel)
+  ) {
+    return "This coupon does not apply to this education level";
+  }
+  if (subtotal < this.minOrderValue) {
+    return `This coupon requires an order of at least ${this.minOrderValue}`;
+  }
+  return null;
+};
+
+/**
+ * Discount the coupon gives on a subtotal (never more than the subtotal)
+ * @param {number} subtotal - Order price before the discount
+ * @returns {number} Discount amount
+ */
+couponSchema.methods.calculateDiscount = function (subtotal) {
+  let discount =
+    this.discountType === "percentage"
+      ? (subtotal * this.value) / 100
+      : this.value;
+
+  if (this.maxDiscount !== null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return roundPrice(Math.min(discount, subtotal));
+};
+
+// Export Coupon model
+module.exports = mongoose.model("Coupon", couponSchema);
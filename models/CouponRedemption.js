@@ -0,0 +1,74 @@
+/**
+ * CouponRedemption Model
+ * One coupon use on one order
+ */
+
+const mongoose = require("mongoose");
+
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+
+    // Amounts at the time of the order
+    discount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    orderTotal: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+    },
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+
+    // Released redemptions (unpaid orders that were cancelled) don't
+    // count towards usage caps
+    status: {
+      type: String,
+      enum: ["redeemed", "released"],
+      default: "redeemed",
+    },
+    releasedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// An order uses at most one coupon
+couponRedemptionSchema.index({ order: 1 }, { unique: true });
+couponRedemptionSchema.index({ coupon: 1, user: 1, status: 1 });
+couponRedemptionSchema.index({ coupon: 1, createdAt: -1 });
+
+// Export CouponRedemption model
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,84 @@
+/**
+ * Currency Model
+ * Currencies quotes and orders can be priced in, with admin-maintained
+ * exchange rates
+ *
+ * Prices are calculated in the base currency (BASE_CURRENCY, USD by
+ * default) and converted at `rate`, the amount of this currency one unit
+ * of the base currency buys.
+ */
+
+const mongoose = require("mongoose");
+
+const currencySchema = new mongoose.Schema(
+  {
+    // ISO 4217 code, e.g. EUR
+    code: {
+      type: String,
+      required: [true, "Currency code is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z]{3}$/, "Currency code must be 3 letters"],
+    },
+    name: {
+      type: String,
+      required: [true, "Currency name is required"],
+      trim: true,
+      maxlength: [50, "Name cannot exceed 50 characters"],
+    },
+    symbol: {
+      type: String,
+      trim: true,
+      maxlength: [5, "Symbol cannot exceed 5 characters"],
+    },
+
+    // Units of this currency per unit of the base currency
+    rate: {
+      type: Number,
+      required: [true, "Exchange rate is required"],
+      min: [0.000001, "Exchange rate must be positive"],
+    },
+    rateUpdatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // Rounding: prices are rounded to `decimals` places, or to the nearest
+    // multiple of roundingIncrement when one is set (e.g. 5 for KES)
+    decimals: {
+      type: Number,
+      min: [0, "Decimals cannot be negative"],
+      max: [4, "Decimals cannot exceed 4"],
+      default: 2,
+    },
+    roundingIncrement: {
+      type: Number,
+      min: [0, "Rounding increment cannot be negative"],
+      default: null,
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+currencySchema.pre("save", function (next) {
+  if (this.isModified("rate")) {
+    this.rateUpdatedAt = new Date();
+  }
+  next();
+});
+
+// Export Currency model
+module.exports = mongoose.model("Currency", currencySchema);
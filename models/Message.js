@@ -0,0 +1,96 @@
+/**
+ * Message Model
+ * Per-order message thread between student, tutor and admin
+ */
+
+const mongoose = require("mongoose");
+
+const messageSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Message must belong to an order"],
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    senderRole: {
+      type: String,
+      enum: ["student", "tutor", "admin"],
+      required: true,
+    },
+    body: {
+      type: String,
+      required: [true, "Message cannot be empty"],
+      trim: true,
+      maxlength: [5000, "Message cannot exceed 5000 characters"],
+    },
+
+    // Internal notes are only visible to staff (admins and tutors)
+    visibility: {
+      type: String,
+      enum: ["all", "internal"],
+      default: "all",
+    },
+
+    // Users who have read the message
+    readBy: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        readAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+);
+
+messageSchema.index({ order: 1, createdAt: -1 });
+
+/**
+ * Query filter for messages a user is allowed to see
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Mongo filter
+ */
+messageSchema.statics.visibilityFilter = function (user) {
+  return user.role === "student" ? { visibility: "all" } : {};
+};
+
+/**
+ * Count unread messages per order for a user
+ * @param {Array} orderIds - Order IDs
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} Map of orderId -> unread count
+ */
+messageSchema.statics.getUnreadCounts = async function (orderIds, user) {
+  const counts = await this.aggregate([
+    {
+      $match: {
+        order: { $in: orderIds },
+        sender: { $ne: user._id },
+        "readBy.user": { $ne: user._id },
+        ...this.visibilityFilter(user),
+      },
+    },
+    { $group: { _id: "$order", count: { $sum: 1 } } },
+  ]);
+
+  return counts.reduce((acc, { _id, count }) => {
+    acc[_id.toString()] = count;
+    return acc;
+  }, {});
+};
+
+// Export message model
+module.exports = mongoose.model("Message", messageSchema);
@@ -0,0 +1,83 @@
+/**
+ * OneTimeToken Model
+ * Short-lived, single-use tokens (OAuth state, OAuth authorization codes)
+ *
+ * Only a hash of the token is stored. Consuming a token deletes it, so a
+ * token can never be used twice even across server instances.
+ */
+
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const oneTimeTokenSchema = new mongoose.Schema(
+  {
+    purpose: {
+      type: String,
+      enum: ["oauth_state", "oauth_code"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+);
+
+// MongoDB removes expired tokens automatically
+oneTimeTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Create a token
+ * @param {string} purpose - Token purpose
+ * @param {Object} data - Data returned when the token is consumed
+ * @param {number} ttlMs - Lifetime in milliseconds
+ * @returns {Promise<string>} Raw token
+ */
+oneTimeTokenSchema.statics.issue = async function (purpose, data, ttlMs) {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  await this.create({
+    purpose,
+    tokenHash: hashToken(token),
+    data,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+/**
+ * Use up a token
+ * @param {string} purpose - Expected purpose
+ * @param {string} token - Raw token
+ * @returns {Promise<Object|null>} Stored data, or null if invalid/expired/used
+ */
+oneTimeTokenSchema.statics.consume = async function (purpose, token) {
+  if (!token || typeof token !== "string") return null;
+
+  const record = await this.findOneAndDelete({
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+
+  return record ? record.data : null;
+};
+
+// Export one-time token model
+module.exports = mongoose.model("OneTimeToken", oneTimeTokenSchema);
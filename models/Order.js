@@ -4,6 +4,28 @@
  */
 
 const mongoose = require("mongoose");
+const {
+  ORDER_STATUSES,
+  TERMINAL_STATUSES,
+  assertTransition,
+} = require("../utils/orderStatus");
+
+// Uploaded file metadata (the file itself lives in storage)
+const orderFileSchema = new mongoose.Schema({
+  filename: String,
+  originalName: String,
+  path: String,
+  mimeType: String,
+  size: Number,
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const orderSchema = new mongoose.Schema(
   {
@@ -14,6 +36,17 @@ const orderSchema = new mongoose.Schema(
       required: [true, "Order must belong to a student"],
     },
 
+    // Tutor currently working on the order
+    assignedTutor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    assignedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Order identification
     orderNumber: {
       type: String,
@@ -116,6 +149,17 @@ const orderSchema = new mongoose.Schema(
       min: [1, "Page count must be at least 1"],
       default: 1,
     },
+    // Quantities for task types not priced per page
+    hours: {
+      type: Number,
+      min: [0.5, "Hours must be at least 0.5"],
+      default: null,
+    },
+    questionCount: {
+      type: Number,
+      min: [1, "Question count must be at least 1"],
+      default: null,
+    },
 
     // Pricing
     basePrice: {
@@ -133,40 +177,202 @@ const orderSchema = new mongoose.Schema(
       default: "USD",
       uppercase: true,
     },
+    // Rate the order was converted at (units of currency per unit of
+    // baseCurrency) and its total in the base currency, for reporting
+    baseCurrency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+    },
+    exchangeRate: {
+      type: Number,
+      min: [0, "Exchange rate cannot be negative"],
+      default: 1,
+    },
+    baseTotalPrice: {
+      type: Number,
+      min: [0, "Total price cannot be negative"],
+    },
+
+    // Coupon applied to the order; totalPrice is after the discount
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Coupon",
+      default: null,
+    },
+    couponCode: {
+      type: String,
+      default: null,
+    },
+    discountAmount: {
+      type: Number,
+      min: [0, "Discount cannot be negative"],
+      default: 0,
+    },
+
+    // Quote the price was locked in from (each quote can be used once)
+    quoteId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+
+    // Snapshot of the rules applied when the order was priced
+    priceBreakdown: {
+      // What the base price was charged for: page, hour or question
+      unit: String,
+      quantity: Number,
+      ratePerUnit: Number,
+      rateRule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PricingRule",
+      },
+      rateRuleVersion: Number,
+      rateTiers: [
+        {
+          _id: false,
+          from: Number,
+          to: Number,
+          units: Number,
+          rate: Number,
+          subtotal: Number,
+        },
+      ],
+      basePricePerPage: Number,
+      pageCount: Number,
+      basePrice: Number,
+      items: [
+        {
+          _id: false,
+          rule: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "PricingRule",
+          },
+          coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Coupon",
+          },
+          name: String,
+          version: Number,
+          displayName: String,
+          category: String,
+          appliesTo: String,
+          adjustment: String,
+          multiplier: Number,
+          // Fixed adjustment (negative for discounts)
+          amount: Number,
+          subtotal: Number,
+        },
+      ],
+      discount: Number,
+      currency: String,
+      baseCurrency: String,
+      exchangeRate: Number,
+      baseTotalPrice: Number,
+      // When the rules were selected (the quote time for quoted orders)
+      pricedAt: Date,
+      calculatedAt: Date,
+    },
 
     // Payment status
     paymentStatus: {
       type: String,
-      enum: ["pending", "paid", "refunded", "failed"],
+      // cancelled: the order was cancelled before it was paid
+      enum: [
+        "pending",
+        "paid",
+        "partially_refunded",
+        "refunded",
+        "failed",
+        "cancelled",
+      ],
       default: "pending",
     },
     paymentMethod: {
       type: String,
-      enum: ["stripe", "paypal", "bank_transfer", "none"],
+      enum: [
+        "stripe",
+        "paypal",
+        "bank_transfer",
+        "fake",
+        "organization",
+        "none",
+      ],
       default: "none",
     },
+    // Organization paying for the order (organization billing)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
     transactionId: {
       type: String,
       default: null,
     },
+    // Every checkout session started for the order. Earlier sessions stay
+    // open with the provider, so their payments must still find the order.
+    paymentSessions: [
+      {
+        provider: String,
+        sessionId: String,
+        createdAt: Date,
+      },
+    ],
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+    // Total refunded so far, in the order's currency
+    refundedAmount: {
+      type: Number,
+      min: [0, "Refunded amount cannot be negative"],
+      default: 0,
+    },
+    // Payments that arrived after the order was cancelled, refunded or
+    // paid through another session; an admin refunds them with the provider
+    unappliedPayments: [
+      {
+        provider: String,
+        sessionId: String,
+        transactionId: String,
+        receivedAt: Date,
+      },
+    ],
 
     // Order status
     status: {
       type: String,
-      enum: ["pending", "in_progress", "review", "completed", "cancelled"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
     statusHistory: [
       {
         status: {
           type: String,
-          enum: ["pending", "in_progress", "review", "completed", "cancelled"],
+          enum: ORDER_STATUSES,
         },
         timestamp: {
           type: Date,
           default: Date.now,
         },
         note: String,
+        // Who made the change and why
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          default: null,
+        },
+        actorRole: {
+          type: String,
+          enum: ["student", "tutor", "admin", "system"],
+          default: "system",
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Reason cannot exceed 500 characters"],
+        },
       },
     ],
 
@@ -179,30 +385,10 @@ const orderSchema = new mongoose.Schema(
     },
 
     // Files
-    attachments: [
-      {
-        filename: String,
-        originalName: String,
-        path: String,
-        uploadedAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    attachments: [orderFileSchema],
 
     // Completed work files
-    completedFiles: [
-      {
-        filename: String,
-        originalName: String,
-        path: String,
-        uploadedAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    completedFiles: [orderFileSchema],
 
     // Admin notes (internal)
     adminNotes: {
@@ -238,9 +424,13 @@ const orderSchema = new mongoose.Schema(
 
 // Indexes for efficient queries
 orderSchema.index({ student: 1 });
+orderSchema.index({ assignedTutor: 1, status: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ deadline: 1 });
+orderSchema.index({ "paymentSessions.sessionId": 1 });
+orderSchema.index({ organization: 1, paidAt: -1 });
+orderSchema.index({ coupon: 1 }, { sparse: true });
 
 /**
  * Generate unique order number before saving
@@ -261,6 +451,8 @@ orderSchema.pre("save", async function (next) {
       status: this.status,
       timestamp: new Date(),
       note: "Order created",
+      actor: this.student,
+      actorRole: "student",
     });
   }
 
@@ -273,7 +465,7 @@ orderSchema.pre("save", async function (next) {
 orderSchema.virtual("isOverdue").get(function () {
   return (
     this.deadline < new Date() &&
-    !["completed", "cancelled"].includes(this.status)
+    !TERMINAL_STATUSES.includes(this.status)
   );
 });
 
@@ -288,6 +480,86 @@ orderSchema.virtual("daysUntilDeadline").get(function () {
   return diffDays;
 });
 
+// Works for both populated and unpopulated references
+const refId = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Check if a user is the student who placed this order
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+orderSchema.methods.isOwnedBy = function (user) {
+  return !!user && refId(this.student)?.toString() === user._id.toString();
+};
+
+/**
+ * Check if a user is the tutor assigned to this order
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+orderSchema.methods.isAssignedTo = function (user) {
+  return (
+    !!user &&
+    user.role === "tutor" &&
+    refId(this.assignedTutor)?.toString() === user._id.toString()
+  );
+};
+
+/**
+ * Check if a user may view this order
+ * Owner, assigned tutor and admins have access
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+orderSchema.methods.canBeViewedBy = function (user) {
+  if (user && user.role === "admin") return true;
+  return this.isOwnedBy(user) || this.isAssignedTo(user);
+};
+
+/**
+ * Check if a user may upload attachments (owner or admin)
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+orderSchema.methods.canUploadAttachments = function (user) {
+  if (user && user.role === "admin") return true;
+  return this.isOwnedBy(user);
+};
+
+/**
+ * Check if a user may upload completed work (assigned tutor or admin)
+ * @param {Object} user - Authenticated user
+ * @returns {boolean}
+ */
+orderSchema.methods.canUploadCompletedFiles = function (user) {
+  if (user && user.role === "admin") return true;
+  return this.isAssignedTo(user);
+};
+
+/**
+ * Move order to a new status, enforcing the transition table
+ * Throws a 409 ApiError for illegal transitions
+ * @param {string} status - Target status
+ * @param {Object} options - { actor, reason, note }
+ */
+orderSchema.methods.transitionTo = function (status, options = {}) {
+  const { actor, reason, note } = options;
+
+  assertTransition(this.status, status);
+
+  this.status = status;
+  this.statusHistory.push({
+    status,
+    timestamp: new Date(),
+    note: note || `Status changed to ${status}`,
+    actor: actor ? actor._id : null,
+    actorRole: actor ? actor.role : "system",
+    reason,
+  });
+
+  return this;
+};
+
 /**
  * Get formatted status for display
  */
@@ -298,6 +570,7 @@ orderSchema.methods.getFormattedStatus = function () {
     review: "Under Review",
     completed: "Completed",
     cancelled: "Cancelled",
+    refunded: "Refunded",
   };
   return statusMap[this.status] || this.status;
 };
@@ -327,6 +600,7 @@ orderSchema.methods.getFormattedTaskType = function () {
     proofreading: "Proofreading",
     research_assistance: "Research Assistance",
     tutoring: "Tutoring",
+    quiz: "Quiz",
     formatting: "Formatting",
     study_support: "Study Support",
     thesis: "Thesis",
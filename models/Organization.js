@@ -0,0 +1,143 @@
+/**
+ * Organization Model
+ * An institution (e.g. a university) that buys tutoring for its members
+ *
+ * Members are users whose `organization` points here; `organizationRole`
+ * marks the organization's admins.
+ */
+
+const mongoose = require("mongoose");
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Organization name is required"],
+      trim: true,
+      maxlength: [200, "Name cannot exceed 200 characters"],
+    },
+
+    // Email domains owned by the organization, e.g. "uni.edu".
+    // Subdomains (student.uni.edu) match too.
+    domains: {
+      type: [String],
+      default: [],
+    },
+    // Users who verify an email on one of the domains join automatically
+    autoJoin: {
+      type: Boolean,
+      default: true,
+    },
+    // Removed members; auto-join skips them until re-added by an admin
+    excludedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+
+    // Organization-level billing for members' orders
+    billing: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Largest order the organization covers; null means no limit
+      perOrderLimit: {
+        type: Number,
+        min: [0, "Per-order limit cannot be negative"],
+        default: null,
+      },
+      // Spend cap per calendar month (UTC); null means no cap
+      monthlyBudget: {
+        type: Number,
+        min: [0, "Monthly budget cannot be negative"],
+        default: null,
+      },
+      billingEmail: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: null,
+      },
+      // Net spend for the billing month starting at spendPeriod. Checkout
+      // reserves against it atomically and refunds give it back.
+      spendPeriod: {
+        type: Date,
+        default: null,
+      },
+      periodSpend: {
+        type: Number,
+        default: 0,
+      },
+    },
+
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// A domain belongs to one organization
+organizationSchema.index(
+  { domains: 1 },
+  { unique: true, partialFilterExpression: { domains: { $type: "string" } } },
+);
+
+/**
+ * Find the active organization that owns an email's domain
+ * The most specific domain wins (student.uni.edu before uni.edu).
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} Organization document
+ */
+organizationSchema.statics.findByEmailDomain = async function (email) {
+  const domain = String(email || "")
+    .split("@")[1]
+    ?.toLowerCase();
+  if (!domain) return null;
+
+  // uni.edu for student.uni.edu, but never the bare TLD
+  const labels = domain.split(".");
+  const candidates = labels
+    .slice(0, -1)
+    .map((label, index) => labels.slice(index).join("."));
+
+  const organizations = await this.find({
+    domains: { $in: candidates },
+    isActive: true,
+  });
+
+  for (const candidate of candidates) {
+    const match = organizations.find((organization) =>
+      organization.domains.includes(candidate),
+    );
+    if (match) return match;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether the organization covers orders of a given amount
+ * @param {number} amount - Order total
+ * @returns {boolean}
+ */
+organizationSchema.methods.coversAmount = function (amount) {
+  return (
+    this.isActive &&
+    this.billing.enabled &&
+    (this.billing.perOrderLimit === null ||
+      amount <= this.billing.perOrderLimit)
+  );
+};
+
+// Export Organization model
+module.exports = mongoose.model("Organization", organizationSchema);
@@ -1,17 +1,74 @@
 /**
  * PricingRule Model
- * Stores configurable pricing multipliers for order calculations
+ * Stores configurable base rates and price adjustments for order
+ * calculations (evaluated by utils/pricingEngine)
+ *
+ * Rules are versioned: editing a rule creates a new version and ends the
+ * previous one, so orders keep pointing at the exact rule they were priced
+ * with. Each version applies only within its validFrom/validUntil window.
  */
 
 const mongoose = require("mongoose");
+const {
+  PRICING_CATEGORIES,
+  ADJUSTMENTS,
+  UNITS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  isRuleEffective,
+  calculateBreakdown,
+} = require("../utils/pricingEngine");
+
+const conditionSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+      enum: {
+        values: CONDITION_FIELDS,
+        message: "Invalid condition field",
+      },
+    },
+    operator: {
+      type: String,
+      required: true,
+      enum: {
+        values: CONDITION_OPERATORS,
+        message: "Invalid condition operator",
+      },
+    },
+    // A string, number, or a list for in/nin
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+  },
+  { _id: false },
+);
+
+// Rate for the units up to upTo (null: every remaining unit)
+const tierSchema = new mongoose.Schema(
+  {
+    upTo: {
+      type: Number,
+      min: [1, "Tier bound must be at least 1"],
+      default: null,
+    },
+    rate: {
+      type: Number,
+      required: [true, "Tier rate is required"],
+      min: [0, "Tier rate cannot be negative"],
+    },
+  },
+  { _id: false },
+);
 
 const pricingRuleSchema = new mongoose.Schema(
   {
-    // Rule identification
+    // Rule identification (name is unique among current versions)
     name: {
       type: String,
       required: [true, "Rule name is required"],
-      unique: true,
       trim: true,
       maxlength: [100, "Name cannot exceed 100 characters"],
     },
@@ -26,38 +83,71 @@ const pricingRuleSchema = new mongoose.Schema(
       type: String,
       required: true,
       enum: {
-        values: [
-          "education_level",
-          "task_type",
-          "urgency",
-          "complexity",
-          "page_count",
-          "citation_style",
-        ],
+        values: PRICING_CATEGORIES,
         message: "Invalid rule category",
       },
     },
 
-    // Rule configuration
+    // Rule configuration: how the rule changes the running price
+    adjustment: {
+      type: String,
+      enum: {
+        values: ADJUSTMENTS,
+        message: "Adjustment must be multiplier, fee, cap or minimum",
+      },
+      default: "multiplier",
+    },
     multiplier: {
       type: Number,
-      required: [true, "Multiplier is required"],
+      required: [
+        function () {
+          return (
+            this.adjustment === "multiplier" && this.category !== "base_rate"
+          );
+        },
+        "Multiplier is required",
+      ],
       min: [0.1, "Multiplier must be at least 0.1"],
       max: [10, "Multiplier cannot exceed 10"],
     },
+    // Fee added (negative for a flat discount) or price cap
+    amount: {
+      type: Number,
+      required: [
+        function () {
+          return this.adjustment !== "multiplier";
+        },
+        "Amount is required for fees, caps and minimums",
+      ],
+    },
+    // Flat rate per unit for base_rate rules (and the legacy
+    // base_price_per_page rule)
     basePrice: {
       type: Number,
       default: 0,
       min: [0, "Base price cannot be negative"],
     },
+    // Rate tiers for base_rate rules, in ascending order of upTo; the
+    // last tier is open-ended
+    tiers: {
+      type: [tierSchema],
+      default: [],
+    },
 
-    // Specific value this rule applies to
+    // Value of the category's order field this rule applies to (a label
+    // for page_count and conditional rules)
     appliesTo: {
       type: String,
       required: true,
       trim: true,
     },
 
+    // Further order conditions; all must hold for the rule to apply
+    conditions: {
+      type: [conditionSchema],
+      default: [],
+    },
+
     // Display information
     displayName: {
       type: String,
@@ -76,11 +166,46 @@ const pricingRuleSchema = new mongoose.Schema(
       default: true,
     },
 
-    // Priority (higher priority rules are applied first)
+    // Priority: the highest matching rule wins within a category, and
+    // rules are applied highest priority first
     priority: {
       type: Number,
       default: 0,
     },
+
+    // Effective window; null means unbounded on that side
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+
+    // Versioning: every version of a rule shares its first version's _id
+    lineage: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: function () {
+        return this._id;
+      },
+    },
+    version: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Set once the rule has been edited; superseded versions are read-only
+    supersededBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PricingRule",
+    },
+    supersededAt: Date,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -93,87 +218,120 @@ const pricingRuleSchema = new mongoose.Schema(
 pricingRuleSchema.index({ category: 1, isActive: 1 });
 pricingRuleSchema.index({ appliesTo: 1 });
 pricingRuleSchema.index({ priority: -1 });
+pricingRuleSchema.index({ lineage: 1, version: 1 }, { unique: true });
+pricingRuleSchema.index(
+  { name: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { supersededBy: { $exists: false } },
+  },
+);
 
-// Static method to get active rules by category
-pricingRuleSchema.statics.getActiveRulesByCategory = async function (category) {
-  return await this.find({ category, isActive: true }).sort({
-    priority: -1,
-    displayOrder: 1,
-  });
-};
-
-// Static method to calculate price
-pricingRuleSchema.statics.calculatePrice = async function (orderData) {
-  // Default base price per page
-  let basePricePerPage = 15;
-
-  // Get base price rule if exists
-  const baseRule = await this.findOne({
-    name: "base_price_per_page",
-    isActive: true,
-  });
-  if (baseRule) {
-    basePricePerPage = baseRule.basePrice || basePricePerPage;
+pricingRuleSchema.pre("validate", function (next) {
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate("validUntil", "validUntil must be after validFrom");
   }
-
-  // Calculate base price
-  const pageCount = orderData.pageCount || 1;
-  let totalPrice = basePricePerPage * pageCount;
-
-  // Apply education level multiplier
-  const educationRule = await this.findOne({
-    category: "education_level",
-    appliesTo: orderData.educationLevel,
-    isActive: true,
-  });
-  if (educationRule) {
-    totalPrice *= educationRule.multiplier;
+  if (["cap", "minimum"].includes(this.adjustment) && this.amount < 0) {
+    this.invalidate("amount", "A price cap or minimum cannot be negative");
   }
-
-  // Apply task type multiplier
-  const taskRule = await this.findOne({
-    category: "task_type",
-    appliesTo: orderData.taskType,
-    isActive: true,
-  });
-  if (taskRule) {
-    totalPrice *= taskRule.multiplier;
+  if (this.category === "base_rate") {
+    if (!UNITS.includes(this.appliesTo)) {
+      this.invalidate("appliesTo", `Base rates apply to ${UNITS.join(", ")}`);
+    }
+    if (this.tiers.length === 0 && !this.basePrice) {
+      this.invalidate("basePrice", "A base rate needs a rate or rate tiers");
+    }
+  }
+  if (this.tiers.length > 0) {
+    const bounds = this.tiers.map((tier) => tier.upTo);
+    const ascending = bounds
+      .slice(0, -1)
+      .every(
+        (upTo, index) =>
+          upTo !== null && (index === 0 || upTo > bounds[index - 1]),
+      );
+    if (!ascending || bounds[bounds.length - 1] !== null) {
+      this.invalidate(
+        "tiers",
+        "Tiers must have ascending bounds and end with an open-ended tier",
+      );
+    }
   }
+  next();
+});
 
-  // Apply urgency multiplier
-  const urgencyRule = await this.findOne({
-    category: "urgency",
-    appliesTo: orderData.urgency || "standard",
+/**
+ * Query filter for rules in effect at a point in time
+ * @param {Date} [at] - Defaults to now
+ * @returns {Object} MongoDB filter
+ */
+pricingRuleSchema.statics.effectiveAt = function (at = new Date()) {
+  return {
     isActive: true,
+    $and: [
+      { $or: [{ validFrom: null }, { validFrom: { $lte: at } }] },
+      { $or: [{ validUntil: null }, { validUntil: { $gt: at } }] },
+    ],
+  };
+};
+
+/**
+ * Find the rule that applies for a filter at a point in time
+ * Highest priority wins, then the most recently started window (so a
+ * promotion beats the standing rule it overrides at equal priority).
+ * @param {Object} filter - e.g. { category, appliesTo }
+ * @param {Date} [at] - Defaults to now
+ * @returns {Promise<Object|null>} Rule document
+ */
+pricingRuleSchema.statics.findEffective = function (filter, at = new Date()) {
+  return this.findOne({ ...filter, ...this.effectiveAt(at) }).sort({
+    priority: -1,
+    validFrom: -1,
+    version: -1,
   });
-  if (urgencyRule) {
-    totalPrice *= urgencyRule.multiplier;
-  }
+};
 
-  // Apply complexity multiplier
-  const complexityRule = await this.findOne({
-    category: "complexity",
-    appliesTo: orderData.complexityLevel || "standard",
-    isActive: true,
+// Static method to get active rules by category
+pricingRuleSchema.statics.getActiveRulesByCategory = async function (
+  category,
+  at = new Date(),
+) {
+  return await this.find({ category, ...this.effectiveAt(at) }).sort({
+    priority: -1,
+    displayOrder: 1,
   });
-  if (complexityRule) {
-    totalPrice *= complexityRule.multiplier;
-  }
+};
 
-  // Apply citation style multiplier if applicable
-  if (orderData.citationStyle && orderData.citationStyle !== "none") {
-    const citationRule = await this.findOne({
-      category: "citation_style",
-      appliesTo: orderData.citationStyle,
-      isActive: true,
-    });
-    if (citationRule) {
-      totalPrice *= citationRule.multiplier;
-    }
-  }
+/**
+ * Check whether this rule version is in effect at a point in time
+ * @param {Date} [at] - Defaults to now
+ * @returns {boolean}
+ */
+pricingRuleSchema.methods.isEffectiveAt = function (at = new Date()) {
+  return isRuleEffective(this, at);
+};
 
-  // Round to 2 decimal places
-  return Math.round(totalPrice * 100) / 100;
+/**
+ * Calculate price with an itemized breakdown of every applied rule
+ * Loads the rules in effect and evaluates them with the pricing engine.
+ * @param {Object} orderData - Order fields used for pricing
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Price with the rules in effect at this time
+ *   (defaults to now)
+ * @returns {Promise<Object>} { basePricePerPage, pageCount, basePrice, items, totalPrice, pricedAt }
+ */
+pricingRuleSchema.statics.calculatePriceBreakdown = async function (
+  orderData,
+  { at = new Date() } = {},
+) {
+  const rules = await this.find(this.effectiveAt(at)).lean();
+  return calculateBreakdown(rules, orderData, { at });
+};
+
+// Static method to calculate price
+pricingRuleSchema.statics.calculatePrice = async function (orderData, options) {
+  const { totalPrice } = await this.calculatePriceBreakdown(orderData, options);
+  return totalPrice;
 };
 
 // Export pricing rule model
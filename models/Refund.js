@@ -0,0 +1,123 @@
+/**
+ * Refund Model
+ * Records money returned to students for cancelled orders
+ */
+
+const mongoose = require("mongoose");
+
+const refundSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Order",
+      required: [true, "Refund must belong to an order"],
+    },
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // Amounts
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Refund amount cannot be negative"],
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "USD",
+      uppercase: true,
+    },
+    // The order's exchange rate, to report refunds in the base currency
+    exchangeRate: {
+      type: Number,
+      default: 1,
+    },
+    type: {
+      type: String,
+      enum: ["full", "partial"],
+      required: true,
+    },
+
+    // Why this amount was refunded
+    explanation: {
+      type: String,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot exceed 500 characters"],
+    },
+
+    // Workflow
+    status: {
+      type: String,
+      // processed_order_pending: refunded with the provider, but the order
+      // update failed; retrying finishes it without refunding again
+      enum: [
+        "pending_approval",
+        "approved",
+        "rejected",
+        "processed_order_pending",
+        "processed",
+        "failed",
+      ],
+      default: "approved",
+    },
+    requiresApproval: {
+      type: Boolean,
+      default: false,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+
+    // Provider result
+    paymentMethod: String,
+    providerRefundId: {
+      type: String,
+      default: null,
+    },
+    processedAt: {
+      type: Date,
+      default: null,
+    },
+    failureReason: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+// An order is refunded at most once; failed refunds are retried in place
+refundSchema.index({ order: 1 }, { unique: true });
+refundSchema.index({ status: 1, createdAt: -1 });
+
+// Export refund model
+module.exports = mongoose.model("Refund", refundSchema);
@@ -0,0 +1,102 @@
+/**
+ * Session Model
+ * Server-side record of a signed-in device and its rotating refresh token
+ */
+
+const mongoose = require("mongoose");
+const { PROVIDER_NAMES } = require("../utils/identityProviders");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+
+    // SHA-256 of the current refresh token (raw token is never stored)
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+
+    // Hashes of already-rotated tokens, used to detect reuse
+    previousTokenHashes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+
+    // Where the session was started from
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    ipAddress: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    method: {
+      type: String,
+      enum: ["password", ...PROVIDER_NAMES],
+      default: "password",
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenIp: {
+      type: String,
+      default: null,
+    },
+
+    // Revocation
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout_all",
+        "remote_signout",
+        "password_change",
+        "reuse_detected",
+        "account_deactivated",
+        "password_reset_required",
+        "account_deleted",
+      ],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB clean up expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Check if the session can still be used
+ * @returns {boolean}
+ */
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Export session model
+module.exports = mongoose.model("Session", sessionSchema);
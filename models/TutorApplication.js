@@ -0,0 +1,110 @@
+/**
+ * TutorApplication Model
+ * A student's request to become a tutor, reviewed by an admin
+ */
+
+const mongoose = require("mongoose");
+
+const qualificationSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, "Qualification title is required"],
+    trim: true,
+    maxlength: [200, "Title cannot exceed 200 characters"],
+  },
+  institution: {
+    type: String,
+    required: [true, "Institution is required"],
+    trim: true,
+    maxlength: [200, "Institution cannot exceed 200 characters"],
+  },
+  year: {
+    type: Number,
+    min: 1950,
+  },
+  // Link to a certificate or transcript
+  documentUrl: {
+    type: String,
+    trim: true,
+  },
+});
+
+const tutorApplicationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Application must belong to a user"],
+    },
+
+    // Applicant details
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Bio cannot exceed 2000 characters"],
+    },
+    subjects: {
+      type: [String],
+      default: [],
+    },
+    experienceYears: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    qualifications: {
+      type: [qualificationSchema],
+      default: [],
+    },
+
+    // Workflow: draft -> submitted -> approved/rejected
+    status: {
+      type: String,
+      enum: ["draft", "submitted", "approved", "rejected"],
+      default: "draft",
+    },
+    submittedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewNote: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+  },
+  {
+    timestamps: true,
+  },
+);
+
+tutorApplicationSchema.index({ user: 1, createdAt: -1 });
+// One open application per user, even when two are started at once
+tutorApplicationSchema.index(
+  { user: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: { $in: ["draft", "submitted"] } },
+  },
+);
+tutorApplicationSchema.index({ status: 1, submittedAt: 1 });
+
+/**
+ * Check if the application is still open (not yet decided)
+ * @returns {boolean}
+ */
+tutorApplicationSchema.methods.isOpen = function () {
+  return ["draft", "submitted"].includes(this.status);
+};
+
+// Export tutor application model
+module.exports = mongoose.model("TutorApplication", tutorApplicationSchema);
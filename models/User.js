@@ -5,7 +5,18 @@
 
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 const validator = require("validator");
+const { PROVIDER_NAMES } = require("../utils/identityProviders");
+
+const EMAIL_VERIFICATION_EXPIRE_HOURS = 24;
+const RECOVERY_CODE_COUNT = 10;
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).trim().toLowerCase())
+    .digest("hex");
 
 const userSchema = new mongoose.Schema(
   {
@@ -24,13 +35,42 @@ const userSchema = new mongoose.Schema(
       select: false, // Don't include password in queries by default
     },
 
-    // Google OAuth fields
+    // Legacy Google OAuth field; moved into identities on next sign-in
     googleId: {
       type: String,
       unique: true,
       sparse: true, // Allows null values while maintaining uniqueness
     },
 
+    // Linked OAuth / OpenID Connect identities
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          enum: PROVIDER_NAMES,
+          required: true,
+        },
+        // Provider's stable user ID (OIDC "sub")
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          default: null,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        lastUsedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+
     // User profile fields
     firstName: {
       type: String,
@@ -68,22 +108,88 @@ const userSchema = new mongoose.Schema(
       default: 0,
     },
 
+    // Organization membership (one per user)
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+      default: null,
+    },
+    organizationRole: {
+      type: String,
+      enum: ["member", "admin", null],
+      default: null,
+    },
+    organizationJoinedAt: {
+      type: Date,
+      default: null,
+    },
+
     // Authentication provider
     authProvider: {
       type: String,
-      enum: ["local", "google"],
+      enum: ["local", ...PROVIDER_NAMES],
       default: "local",
     },
 
     // Password reset tokens
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Set by an admin; password login is blocked until the user resets
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Two-factor authentication (TOTP)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret awaiting confirmation during enrollment
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted TOTP time step, to stop code replay
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+        default: null,
+      },
+    },
+
+    // Email verification tokens
+    emailVerificationToken: String,
+    emailVerificationExpire: Date,
 
     // Account timestamps
     lastLogin: {
       type: Date,
       default: null,
     },
+    // Self-service deletion waiting out its grace period
+    deletionScheduledFor: {
+      type: Date,
+      default: null,
+    },
+    // Set when the account is deleted and anonymized
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
@@ -97,15 +203,25 @@ userSchema.virtual("fullName").get(function () {
   return `${this.firstName} ${this.lastName}`;
 });
 
-// Indexes are already created via `unique: true` on fields above
+// Indexes are already created via `unique: true` on fields above,
+// except for identities: each provider account links to one user
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  },
+);
+// Organization member lists
+userSchema.index({ organization: 1, organizationRole: 1 });
 
 /**
  * Hash password before saving
- * Only runs if password is modified and not from Google OAuth
+ * Only runs if password is modified and set
  */
 userSchema.pre("save", async function (next) {
-  // Only hash password if it's modified and not from Google
-  if (!this.isModified("password") || this.authProvider === "google") {
+  // Only hash password if it's modified (Google-only users have none)
+  if (!this.isModified("password") || !this.password) {
     return next();
   }
 
@@ -125,6 +241,9 @@ userSchema.pre("save", async function (next) {
  * @returns {Promise<boolean>} - True if passwords match
  */
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  // Google-only accounts have no password to match
+  if (!this.password) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
@@ -132,6 +251,168 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   }
 };
 
+/**
+ * Generate an email verification token
+ * Stores the hash on the user; the raw token goes in the email link
+ * @returns {string} - Raw verification token
+ */
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+  this.emailVerificationExpire =
+    Date.now() + EMAIL_VERIFICATION_EXPIRE_HOURS * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
+/**
+ * Generate a password reset token
+ * Stores the hash on the user; the raw token goes in the email link
+ * @param {number} expiresInMinutes - How long the link stays valid
+ * @returns {string} - Raw reset token
+ */
+userSchema.methods.createPasswordResetToken = function (expiresInMinutes) {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.resetPasswordToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.resetPasswordExpire = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+/**
+ * Replace recovery codes with a fresh set
+ * Stores hashes; the raw codes are shown to the user once
+ * @returns {string[]} - Raw recovery codes
+ */
+userSchema.methods.generateRecoveryCodes = function () {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Consume a recovery code if it is valid
+ * Requires twoFactor.recoveryCodes to be selected
+ * @param {string} code - Raw recovery code
+ * @returns {boolean} - True if the code was valid and is now used up
+ */
+userSchema.methods.useRecoveryCode = function (code) {
+  const hash = hashRecoveryCode(code);
+  const codes = this.twoFactor.recoveryCodes || [];
+
+  if (!codes.includes(hash)) return false;
+
+  this.twoFactor.recoveryCodes = codes.filter((stored) => stored !== hash);
+  return true;
+};
+
+/**
+ * Find a linked identity
+ * @param {string} provider - Provider name
+ * @returns {Object|undefined} Identity subdocument
+ */
+userSchema.methods.findIdentity = function (provider) {
+  return this.identities.find((identity) => identity.provider === provider);
+};
+
+/**
+ * Link a provider identity (one per provider)
+ * Caller must save the user.
+ * @param {Object} profile - Normalized provider profile
+ */
+userSchema.methods.addIdentity = function (profile) {
+  this.removeIdentity(profile.provider);
+  this.identities.push({
+    provider: profile.provider,
+    subject: profile.subject,
+    email: profile.email || null,
+  });
+};
+
+/**
+ * Unlink a provider identity
+ * Caller must save the user.
+ * @param {string} provider - Provider name
+ * @returns {boolean} True if an identity was removed
+ */
+userSchema.methods.removeIdentity = function (provider) {
+  const before = this.identities.length;
+  this.identities = this.identities.filter(
+    (identity) => identity.provider !== provider,
+  );
+
+  if (provider === "google" && this.googleId) {
+    this.googleId = undefined;
+    return true;
+  }
+
+  return this.identities.length !== before;
+};
+
+/**
+ * Find the user a provider identity is linked to
+ * Accounts linked before identities existed only have googleId; they are
+ * migrated here the first time they're looked up.
+ * @param {string} provider - Provider name
+ * @param {string} subject - Provider's user ID
+ * @returns {Promise<Object|null>} User document
+ */
+userSchema.statics.findByIdentity = async function (provider, subject) {
+  const user = await this.findOne({
+    identities: { $elemMatch: { provider, subject } },
+  });
+  if (user || provider !== "google") return user;
+
+  const legacy = await this.findOne({ googleId: subject });
+  if (!legacy) return null;
+
+  legacy.googleId = undefined;
+  legacy.identities.push({ provider, subject, email: legacy.email });
+  await legacy.save({ validateBeforeSave: false });
+
+  return legacy;
+};
+
+/**
+ * Strip personal data and sign-in methods from a deleted account
+ * Orders, payments and refunds keep pointing at the anonymized user.
+ * Caller must save the user and revoke its sessions.
+ */
+userSchema.methods.anonymize = function () {
+  this.email = `deleted-${this._id}@deleted.invalid`;
+  this.firstName = "Deleted";
+  this.lastName = "User";
+  this.avatar = null;
+  this.password = undefined;
+  this.googleId = undefined;
+  this.identities = [];
+  this.organization = null;
+  this.organizationRole = null;
+  this.organizationJoinedAt = null;
+  this.resetPasswordToken = undefined;
+  this.resetPasswordExpire = undefined;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpire = undefined;
+  this.passwordResetRequired = false;
+  this.twoFactor = { enabled: false, enabledAt: null };
+  this.isActive = false;
+  this.isVerified = false;
+  this.tokenVersion += 1;
+  this.deletedAt = new Date();
+};
+
 /**
  * Get user's initials for avatar display
  * @returns {string} - User's initials
@@ -4,65 +4,145 @@
  */
 
 const express = require("express");
-const passport = require("passport");
 const router = express.Router();
 
 const {
   register,
   login,
   getMe,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   updateProfile,
   changePassword,
 } = require("../controllers/authController");
+const {
+  enroll,
+  confirm,
+  disable,
+  regenerateRecoveryCodes,
+  verifyLogin,
+} = require("../controllers/twoFactorController");
+const {
+  exportAccount,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} = require("../controllers/accountController");
+const {
+  getMySignInMethods,
+  startLink,
+  confirmLink,
+  unlink,
+  setPassword,
+} = require("../controllers/accountLinkController");
+const {
+  getProviders,
+  startOAuth,
+  oauthCallback,
+  exchangeCode,
+} = require("../controllers/oauthController");
 
-const { protect, generateToken } = require("../middleware/auth");
+const { protect, requireRecentSignIn } = require("../middleware/auth");
+const {
+  loginGuard,
+  forgotPasswordGuard,
+  resetPasswordGuard,
+  twoFactorGuard,
+  linkIdentityGuard,
+} = require("../middleware/bruteForce");
 const {
   validateUserRegistration,
   validateUserLogin,
   validatePasswordReset,
   validateChangePassword,
+  validateSetPassword,
+  validateProviderParam,
+  validateLinkConfirmation,
+  validateRefreshToken,
+  validateAuthCodeExchange,
+  validateMongoId,
+  validateTwoFactorCode,
+  validateSecondFactor,
+  validateTwoFactorLogin,
+  validateAccountDeletion,
+  validateExportFormat,
 } = require("../middleware/validation");
 
-// Google OAuth routes
-// Initiate Google login
-router.get(
-  "/google",
-  passport.authenticate("google", {
-    scope: ["profile", "email"],
-  }),
-);
-
-// Google OAuth callback
-router.get(
-  "/google/callback",
-  passport.authenticate("google", {
-    failureRedirect: "/login?error=oauth_failed",
-    session: false,
-  }),
-  (req, res) => {
-    // Generate token
-    const token = generateToken(req.user);
+// OAuth / OpenID Connect routes
+router.get("/providers", getProviders);
+router.get("/oauth/:provider", validateProviderParam, startOAuth);
+router.get("/oauth/:provider/callback", validateProviderParam, oauthCallback);
+router.post("/oauth/exchange", validateAuthCodeExchange, exchangeCode);
 
-    // Redirect to frontend with token
-    const frontendUrl = process.env.CLIENT_URL || "http://localhost:3000";
-    res.redirect(`${frontendUrl}/auth/callback?token=${token}`);
-  },
-);
+// Legacy Google routes (callback URL registered before providers were added)
+router.get("/google", startOAuth);
+router.get("/google/callback", oauthCallback);
+router.post("/google/exchange", validateAuthCodeExchange, exchangeCode);
 
 // Public routes
 router.post("/register", validateUserRegistration, register);
-router.post("/login", validateUserLogin, login);
-router.post("/forgot-password", forgotPassword);
-router.put("/reset-password/:token", validatePasswordReset, resetPassword);
+router.post("/login", validateUserLogin, loginGuard, login);
+router.post("/refresh", validateRefreshToken, refresh);
+router.post("/forgot-password", forgotPasswordGuard, forgotPassword);
+router.put(
+  "/reset-password/:token",
+  validatePasswordReset,
+  resetPasswordGuard,
+  resetPassword,
+);
+router.get("/verify-email/:token", verifyEmail);
+router.post("/2fa/verify", validateTwoFactorLogin, twoFactorGuard, verifyLogin);
+router.post(
+  "/link/:provider/confirm",
+  validateLinkConfirmation,
+  linkIdentityGuard,
+  confirmLink,
+);
 
 // Protected routes
 router.use(protect);
 router.get("/me", getMe);
+router.get("/me/export", validateExportFormat, exportAccount);
+router.delete(
+  "/me",
+  requireRecentSignIn,
+  validateAccountDeletion,
+  requestAccountDeletion,
+);
+router.post("/me/deletion/cancel", cancelAccountDeletion);
 router.post("/logout", logout);
+router.post("/logout-all", logoutAll);
+router.get("/sessions", getSessions);
+router.delete("/sessions/:id", validateMongoId, deleteSession);
+
+// Two-factor authentication
+router.post("/2fa/enroll", enroll);
+router.post("/2fa/confirm", validateTwoFactorCode, confirm);
+router.post("/2fa/disable", validateSecondFactor, disable);
+router.post(
+  "/2fa/recovery-codes",
+  validateTwoFactorCode,
+  regenerateRecoveryCodes,
+);
+router.post("/verify-email/resend", resendVerificationEmail);
 router.put("/profile", updateProfile);
 router.put("/password", validateChangePassword, changePassword);
+router.post(
+  "/password/set",
+  requireRecentSignIn,
+  validateSetPassword,
+  setPassword,
+);
+
+// Sign-in methods
+router.get("/sign-in-methods", getMySignInMethods);
+router.post("/link/:provider", validateProviderParam, startLink);
+router.delete("/link/:provider", validateProviderParam, unlink);
 
 module.exports = router;
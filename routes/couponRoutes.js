@@ -0,0 +1,54 @@
+/**
+ * Coupon Routes
+ * Defines API endpoints for discount code management
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  getCouponRedemptions,
+  getCouponReport,
+} = require("../controllers/couponController");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateCoupon,
+  validateCouponUpdate,
+  validateCouponQuery,
+  validateCouponReport,
+  validateCouponRedemptionQuery,
+  validateMongoId,
+  validatePagination,
+} = require("../middleware/validation");
+
+// All routes are admin only
+router.use(protect);
+router.use(authorize("admin"));
+
+router
+  .route("/")
+  .get(validateCouponQuery, validatePagination, getCoupons)
+  .post(validateCoupon, createCoupon);
+
+// Must be before "/:id" to avoid route conflicts
+router.get("/report", validateCouponReport, getCouponReport);
+
+router
+  .route("/:id")
+  .get(validateMongoId, getCoupon)
+  .put(validateCouponUpdate, updateCoupon)
+  .delete(validateMongoId, deleteCoupon);
+router.get(
+  "/:id/redemptions",
+  validateCouponRedemptionQuery,
+  validatePagination,
+  getCouponRedemptions,
+);
+
+module.exports = router;
@@ -0,0 +1,38 @@
+/**
+ * Currency Routes
+ * Defines API endpoints for currencies and exchange rates
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  getCurrencies,
+  getAllCurrencies,
+  createCurrency,
+  updateCurrency,
+  disableCurrency,
+} = require("../controllers/currencyController");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateCurrency,
+  validateCurrencyUpdate,
+  validateCurrencyCode,
+} = require("../middleware/validation");
+
+// Public list of currencies prices are available in
+router.get("/", getCurrencies);
+
+// Protected routes (Admin only)
+router.use(protect);
+router.use(authorize("admin"));
+
+router.get("/all", getAllCurrencies);
+router.post("/", validateCurrency, createCurrency);
+router
+  .route("/:code")
+  .put(validateCurrencyUpdate, updateCurrency)
+  .delete(validateCurrencyCode, disableCurrency);
+
+module.exports = router;
@@ -14,15 +14,36 @@ const {
   updateOrder,
   cancelOrder,
   reviewOrder,
+  assignTutor,
+  unassignTutor,
   calculatePrice,
 } = require("../controllers/orderController");
+const { createCheckout } = require("../controllers/paymentController");
+const {
+  uploadAttachments,
+  uploadCompletedFiles,
+  downloadAttachment,
+  downloadCompletedFile,
+} = require("../controllers/fileController");
+const {
+  getMessages,
+  postMessage,
+  markMessagesRead,
+} = require("../controllers/messageController");
 
 const { protect, authorize } = require("../middleware/auth");
+const { loadOrder } = require("../middleware/orderAccess");
+const { uploadFiles } = require("../middleware/upload");
 const {
   validateOrderCreation,
   validateOrderUpdate,
   validateOrderId,
   validatePagination,
+  validateTutorAssignment,
+  validateOrderFile,
+  validateMessage,
+  validateMarkMessagesRead,
+  validateCheckout,
 } = require("../middleware/validation");
 
 // Price calculation (public for preview)
@@ -48,8 +69,58 @@ router
 // Additional endpoints
 router.put("/:id/cancel", validateOrderId, cancelOrder);
 router.post("/:id/review", validateOrderId, reviewOrder);
+router.post("/:id/checkout", validateCheckout, createCheckout);
+
+// Order messages
+router
+  .route("/:id/messages")
+  .get(
+    validateOrderId,
+    validatePagination,
+    loadOrder("canBeViewedBy"),
+    getMessages,
+  )
+  .post(validateMessage, loadOrder("canBeViewedBy"), postMessage);
+router.put(
+  "/:id/messages/read",
+  validateMarkMessagesRead,
+  loadOrder("canBeViewedBy"),
+  markMessagesRead,
+);
+
+// Order files
+router.post(
+  "/:id/attachments",
+  validateOrderId,
+  loadOrder("canUploadAttachments"),
+  uploadFiles("attachments"),
+  uploadAttachments,
+);
+router.post(
+  "/:id/completed-files",
+  validateOrderId,
+  loadOrder("canUploadCompletedFiles"),
+  uploadFiles("completed"),
+  uploadCompletedFiles,
+);
+router.get(
+  "/:id/attachments/:fileId",
+  validateOrderFile,
+  loadOrder("canBeViewedBy"),
+  downloadAttachment,
+);
+router.get(
+  "/:id/completed-files/:fileId",
+  validateOrderFile,
+  loadOrder("canBeViewedBy"),
+  downloadCompletedFile,
+);
 
 // Admin-only routes (would need admin middleware)
-router.put("/:id/status", validateOrderId, authorize("admin"), updateOrder);
+router.put("/:id/status", validateOrderUpdate, authorize("admin"), updateOrder);
+router
+  .route("/:id/assign")
+  .put(validateTutorAssignment, authorize("admin"), assignTutor)
+  .delete(validateOrderId, authorize("admin"), unassignTutor);
 
 module.exports = router;
@@ -0,0 +1,80 @@
+/**
+ * Organization Routes
+ * Defines API endpoints for institution accounts
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  createOrganization,
+  getOrganizations,
+  getMyOrganization,
+  leaveMyOrganization,
+  getOrganization,
+  updateOrganization,
+  getMembers,
+  addMember,
+  updateMemberRole,
+  removeMember,
+  getOrganizationOrders,
+  getOrganizationSpendReport,
+} = require("../controllers/organizationController");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateOrganization,
+  validateOrganizationUpdate,
+  validateOrganizationMember,
+  validateOrganizationMemberRole,
+  validateOrganizationMemberId,
+  validateOrganizationReport,
+  validateMongoId,
+  validatePagination,
+} = require("../middleware/validation");
+
+// All routes are protected
+router.use(protect);
+
+// Member routes
+router.get("/me", getMyOrganization);
+router.post("/me/leave", leaveMyOrganization);
+
+// Admin routes
+router
+  .route("/")
+  .get(authorize("admin"), validatePagination, getOrganizations)
+  .post(authorize("admin"), validateOrganization, createOrganization);
+router.put(
+  "/:id",
+  authorize("admin"),
+  validateOrganizationUpdate,
+  updateOrganization,
+);
+router.post(
+  "/:id/members",
+  authorize("admin"),
+  validateOrganizationMember,
+  addMember,
+);
+
+// Admin or organization admin routes (checked in the controller)
+router.get("/:id", validateMongoId, getOrganization);
+router.get("/:id/members", validateMongoId, validatePagination, getMembers);
+router
+  .route("/:id/members/:userId")
+  .put(validateOrganizationMemberRole, updateMemberRole)
+  .delete(validateOrganizationMemberId, removeMember);
+router.get(
+  "/:id/orders",
+  validateOrganizationReport,
+  validatePagination,
+  getOrganizationOrders,
+);
+router.get(
+  "/:id/spend",
+  validateOrganizationReport,
+  getOrganizationSpendReport,
+);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+/**
+ * Payment Routes
+ * Defines API endpoints for payment provider callbacks
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  handleWebhook,
+  completeFakeCheckout,
+} = require("../controllers/paymentController");
+
+// Provider webhooks (authenticated by signature, not JWT)
+router.post("/webhook/:provider", handleWebhook);
+
+// Local checkout page for the fake provider
+if (process.env.NODE_ENV !== "production") {
+  router.get("/fake/:sessionId", completeFakeCheckout);
+}
+
+module.exports = router;
@@ -11,13 +11,21 @@ const {
   getPricingRule,
   createPricingRule,
   updatePricingRule,
+  getPricingRuleVersions,
   deletePricingRule,
+  previewPrice,
   calculatePrice,
   seedPricingRules,
 } = require("../controllers/pricingController");
 
 const { protect, authorize } = require("../middleware/auth");
-const { validatePricingRule } = require("../middleware/validation");
+const {
+  validatePricingRule,
+  validatePricingRuleUpdate,
+  validatePricingRuleQuery,
+  validatePricePreview,
+  validateMongoId,
+} = require("../middleware/validation");
 
 // Public route for price calculation preview
 router.post("/calculate", calculatePrice);
@@ -28,13 +36,15 @@ router.use(authorize("admin"));
 
 router
   .route("/")
-  .get(getPricingRules)
+  .get(validatePricingRuleQuery, getPricingRules)
   .post(validatePricingRule, createPricingRule);
 router.post("/seed", seedPricingRules);
+router.post("/preview", validatePricePreview, previewPrice);
 router
   .route("/:id")
-  .get(getPricingRule)
-  .put(updatePricingRule)
-  .delete(deletePricingRule);
+  .get(validateMongoId, getPricingRule)
+  .put(validatePricingRuleUpdate, updatePricingRule)
+  .delete(validateMongoId, deletePricingRule);
+router.get("/:id/versions", validateMongoId, getPricingRuleVersions);
 
 module.exports = router;
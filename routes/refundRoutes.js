@@ -0,0 +1,31 @@
+/**
+ * Refund Routes
+ * Defines API endpoints for refund review
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  getRefunds,
+  approveRefund,
+  retryRefund,
+  rejectRefund,
+} = require("../controllers/refundController");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateMongoId,
+  validatePagination,
+} = require("../middleware/validation");
+
+// Protected routes (Admin only)
+router.use(protect);
+router.use(authorize("admin"));
+
+router.get("/", validatePagination, getRefunds);
+router.put("/:id/approve", validateMongoId, approveRefund);
+router.put("/:id/reject", validateMongoId, rejectRefund);
+router.put("/:id/retry", validateMongoId, retryRefund);
+
+module.exports = router;
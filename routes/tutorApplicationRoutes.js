@@ -0,0 +1,57 @@
+/**
+ * Tutor Application Routes
+ * Defines API endpoints for applying to become a tutor
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  applyAsTutor,
+  getMyApplication,
+  submitQualifications,
+  getApplications,
+  getApplication,
+  approveApplication,
+  rejectApplication,
+} = require("../controllers/tutorApplicationController");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateTutorApplication,
+  validateQualifications,
+  validateApplicationRejection,
+  validateMongoId,
+  validatePagination,
+} = require("../middleware/validation");
+
+// All routes are protected
+router.use(protect);
+
+// Applicant routes
+router.post("/", authorize("student"), validateTutorApplication, applyAsTutor);
+router.get("/me", getMyApplication);
+router.put(
+  "/me/qualifications",
+  authorize("student"),
+  validateQualifications,
+  submitQualifications,
+);
+
+// Admin review routes
+router.get("/", authorize("admin"), validatePagination, getApplications);
+router.get("/:id", authorize("admin"), validateMongoId, getApplication);
+router.put(
+  "/:id/approve",
+  authorize("admin"),
+  validateMongoId,
+  approveApplication,
+);
+router.put(
+  "/:id/reject",
+  authorize("admin"),
+  validateApplicationRejection,
+  rejectApplication,
+);
+
+module.exports = router;
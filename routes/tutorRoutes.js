@@ -0,0 +1,32 @@
+/**
+ * Tutor Routes
+ * Defines API endpoints for the tutor workspace
+ */
+
+const express = require("express");
+const router = express.Router();
+
+const {
+  getAssignedOrders,
+  getAssignedOrder,
+  updateProgress,
+  submitForReview,
+} = require("../controllers/tutorController");
+
+const { protect, authorize } = require("../middleware/auth");
+const {
+  validateOrderId,
+  validateProgressUpdate,
+  validatePagination,
+} = require("../middleware/validation");
+
+// Protected routes (Tutor only)
+router.use(protect);
+router.use(authorize("tutor"));
+
+router.get("/orders", validatePagination, getAssignedOrders);
+router.get("/orders/:id", validateOrderId, getAssignedOrder);
+router.put("/orders/:id/progress", validateProgressUpdate, updateProgress);
+router.put("/orders/:id/submit", validateOrderId, submitForReview);
+
+module.exports = router;
@@ -1,8 +1,50 @@
+/**
+ * User Routes
+ * Defines admin API endpoints for managing users
+ */
+
 const express = require("express");
 const router = express.Router();
 
 const { protect, authorize } = require("../middleware/auth");
-const { getAllUsers } = require("../controllers/usersController");
-router.get("/", protect, authorize("admin"), getAllUsers);
+const {
+  getAllUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  forcePasswordReset,
+  deleteUser,
+  changeUserRole,
+  getUserAuditLog,
+} = require("../controllers/usersController");
+const {
+  validateUserQuery,
+  validateAdminUserAction,
+  validateRoleChange,
+  validateMongoId,
+  validatePagination,
+} = require("../middleware/validation");
+
+// Protected routes (Admin only)
+router.use(protect);
+router.use(authorize("admin"));
+
+router.get("/", validatePagination, validateUserQuery, getAllUsers);
+router.get("/:id", validateMongoId, getUser);
+router.delete("/:id", validateAdminUserAction, deleteUser);
+router.put("/:id/deactivate", validateAdminUserAction, deactivateUser);
+router.put("/:id/reactivate", validateAdminUserAction, reactivateUser);
+router.post(
+  "/:id/force-password-reset",
+  validateAdminUserAction,
+  forcePasswordReset,
+);
+router.put("/:id/role", validateRoleChange, changeUserRole);
+router.get(
+  "/:id/audit-log",
+  validateMongoId,
+  validatePagination,
+  getUserAuditLog,
+);
 
 module.exports = router;
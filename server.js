@@ -9,6 +9,8 @@ dotenv.config({ path: path.join(__dirname, "config.env") });
 
 const connectDB = require("./config/db");
 const app = require("./app");
+const { processScheduledDeletions } = require("./utils/accountDeletion");
+const { isDeliveryConfigured } = require("./utils/mailer");
 
 const mongoUri = process.env.MONGODB_URI;
 if (
@@ -23,6 +25,22 @@ if (
   process.exit(1);
 }
 
+// Webhooks can't be verified without it
+if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+  console.error(
+    "❌ PAYMENT_WEBHOOK_SECRET is missing. Set it in .env or config.env.",
+  );
+  process.exit(1);
+}
+
+// Verification, reset and deletion emails must reach users in production
+if (process.env.NODE_ENV === "production" && !isDeliveryConfigured()) {
+  console.error(
+    "❌ No email delivery configured. Set SMTP_HOST (and MAIL_TRANSPORT=smtp or leave it unset) in .env or config.env.",
+  );
+  process.exit(1);
+}
+
 // Connect DB
 connectDB();
 
@@ -40,6 +58,19 @@ const server = app.listen(PORT, () => {
 `);
 });
 
+/* -------------------- SCHEDULED JOBS -------------------- */
+
+// Carry out account deletions whose grace period has ended
+const DELETION_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+setInterval(() => {
+  processScheduledDeletions()
+    .then((count) => {
+      if (count) console.log(`🗑️ Deleted ${count} scheduled account(s)`);
+    })
+    .catch((err) => console.error("❌ Scheduled deletion error:", err));
+}, DELETION_JOB_INTERVAL_MS).unref();
+
 /* -------------------- PROCESS SAFETY -------------------- */
 
 process.on("unhandledRejection", (err) => {
@@ -0,0 +1,130 @@
+/**
+ * Account Deletion
+ * Anonymizes users and redacts their content while keeping financial
+ * records (prices, payments, refunds) intact
+ */
+
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Message = require("../models/Message");
+const AuditLog = require("../models/AuditLog");
+const { TERMINAL_STATUSES } = require("./orderStatus");
+const { revokeAllSessions } = require("./sessions");
+const storage = require("./storage");
+
+const REDACTED = "[deleted]";
+
+/**
+ * Days between requesting deletion and the account being anonymized
+ * @returns {number}
+ */
+const getGracePeriodDays = () =>
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+
+/**
+ * Count orders the user is still involved in
+ * @param {string} userId - User ID
+ * @returns {Promise<number>}
+ */
+const countActiveOrders = (userId) =>
+  Order.countDocuments({
+    $or: [{ student: userId }, { assignedTutor: userId }],
+    status: { $nin: TERMINAL_STATUSES },
+  });
+
+/**
+ * Anonymize a user, redact their orders and messages and remove their files
+ * @param {Object} user - User document
+ * @param {Object} context - { actor, reason, ipAddress }
+ */
+const deleteAccount = async (user, { actor, reason, ipAddress } = {}) => {
+  const orders = await Order.find({ student: user._id }).select(
+    "attachments completedFiles",
+  );
+
+  const paths = orders.flatMap((order) =>
+    [...order.attachments, ...order.completedFiles].map((file) => file.path),
+  );
+
+  // Free text goes; prices, payment and status history stay for accounting
+  await Order.updateMany(
+    { student: user._id },
+    {
+      $set: {
+        title: REDACTED,
+        description: REDACTED,
+        additionalInstructions: "",
+        review: "",
+        attachments: [],
+        completedFiles: [],
+      },
+    },
+  );
+
+  await Message.updateMany({ sender: user._id }, { $set: { body: REDACTED } });
+
+  await Promise.all(
+    paths.map((storedPath) =>
+      storage
+        .remove(storedPath)
+        .catch((error) =>
+          console.error("Delete account file error:", error.message),
+        ),
+    ),
+  );
+
+  user.anonymize();
+  await user.save({ validateBeforeSave: false });
+
+  await revokeAllSessions(user._id, "account_deleted");
+
+  await AuditLog.record({
+    action: "user.delete",
+    actor: actor ? actor._id : null,
+    targetUser: user._id,
+    ipAddress,
+    metadata: {
+      reason: reason || "",
+      ordersRedacted: orders.length,
+      filesRemoved: paths.length,
+    },
+  });
+};
+
+/**
+ * Delete accounts whose grace period has ended
+ * Accounts that picked up active orders in the meantime, or fail to
+ * delete, are retried later.
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+const processScheduledDeletions = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    deletedAt: null,
+  });
+
+  let deleted = 0;
+  for (const user of users) {
+    // One failing account mustn't hold up the rest; it's retried next run
+    try {
+      if ((await countActiveOrders(user._id)) > 0) {
+        console.warn(`Deletion of user ${user._id} postponed: active orders`);
+        continue;
+      }
+
+      await deleteAccount(user, { reason: "Requested by user" });
+      deleted += 1;
+    } catch (error) {
+      console.error(`Scheduled deletion of user ${user._id} failed:`, error);
+    }
+  }
+
+  return deleted;
+};
+
+module.exports = {
+  getGracePeriodDays,
+  countActiveOrders,
+  deleteAccount,
+  processScheduledDeletions,
+};
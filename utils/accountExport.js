@@ -0,0 +1,129 @@
+/**
+ * Account Export
+ * Collects a user's personal data for download as JSON or a zip archive
+ */
+
+const path = require("path");
+const archiver = require("archiver");
+const User = require("../models/User");
+const Order = require("../models/Order");
+const Message = require("../models/Message");
+const Refund = require("../models/Refund");
+const Session = require("../models/Session");
+const TutorApplication = require("../models/TutorApplication");
+const storage = require("./storage");
+
+// Internal bookkeeping that isn't the user's personal data
+const OMITTED_PROFILE_FIELDS = [
+  "tokenVersion",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+  "emailVerificationToken",
+  "emailVerificationExpire",
+  "__v",
+];
+
+/**
+ * Gather everything stored about a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Export document
+ */
+const buildAccountExport = async (userId) => {
+  const [user, orders, assignedOrders, messages, refunds, sessions, apps] =
+    await Promise.all([
+      User.findById(userId).lean(),
+      Order.find({ student: userId })
+        .select("-adminNotes -__v")
+        .sort({ createdAt: -1 })
+        .lean(),
+      Order.find({ assignedTutor: userId })
+        .select("orderNumber title subject status assignedAt createdAt")
+        .sort({ createdAt: -1 })
+        .lean(),
+      Message.find({ sender: userId })
+        .select("order body visibility createdAt")
+        .sort({ createdAt: -1 })
+        .lean(),
+      Refund.find({ student: userId })
+        .select("order amount currency type status reason createdAt")
+        .lean(),
+      Session.find({ user: userId })
+        .select(
+          "device ipAddress userAgent method createdAt lastSeenAt revokedAt",
+        )
+        .sort({ createdAt: -1 })
+        .lean(),
+      TutorApplication.find({ user: userId }).select("-__v").lean(),
+    ]);
+
+  const profile = { ...user };
+  OMITTED_PROFILE_FIELDS.forEach((field) => delete profile[field]);
+
+  const reviews = orders
+    .filter((order) => order.rating)
+    .map((order) => ({
+      orderNumber: order.orderNumber,
+      rating: order.rating,
+      review: order.review,
+      reviewedAt: order.reviewedAt,
+    }));
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    orders,
+    assignedOrders,
+    reviews,
+    messages,
+    refunds,
+    sessions,
+    tutorApplications: apps,
+  };
+};
+
+/**
+ * Stream an export as a zip with the JSON and the user's order files
+ * @param {Object} res - Express response
+ * @param {Object} data - From buildAccountExport
+ * @returns {Promise<void>} Resolves once the archive is finalized
+ */
+const streamAccountArchive = async (res, data) => {
+  const archive = archiver("zip", { zlib: { level: 9 } });
+
+  archive.on("warning", (error) => console.warn("Export archive:", error));
+  archive.on("error", (error) => {
+    console.error("Export archive error:", error);
+    res.destroy(error);
+  });
+
+  res.attachment(`account-export-${Date.now()}.zip`);
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), { name: "account.json" });
+
+  for (const order of data.orders) {
+    const kinds = {
+      attachments: order.attachments || [],
+      "completed-files": order.completedFiles || [],
+    };
+
+    for (const [kind, files] of Object.entries(kinds)) {
+      for (const file of files) {
+        // Skip files that have been removed from storage
+        if (!(await storage.exists(file.path))) continue;
+
+        const name = path.basename(file.originalName || file.filename);
+        archive.append(storage.createReadStream(file.path), {
+          name: `files/${order.orderNumber}/${kind}/${file._id}-${name}`,
+        });
+      }
+    }
+  }
+
+  await archive.finalize();
+};
+
+module.exports = {
+  buildAccountExport,
+  streamAccountArchive,
+};
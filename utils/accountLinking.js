@@ -0,0 +1,96 @@
+/**
+ * Account Linking
+ * Short-lived tokens for linking a provider identity to an existing account
+ *
+ * Link tokens: provider sign-in found a local account with the same email.
+ *   The user must confirm with their password before the identity is linked.
+ *   They are signed with their own secret so they can't pass as access
+ *   tokens.
+ * Link intents (a signed-in user asked to link a provider) never leave the
+ *   server; they are kept in the stored OAuth state (see utils/oauth.js).
+ */
+
+const jwt = require("jsonwebtoken");
+const { ApiError } = require("./errorHandler");
+const { getTokenSecret } = require("./tokenSecrets");
+
+const LINK_AUDIENCE = "identity-link";
+
+const getLinkSecret = () => getTokenSecret(LINK_AUDIENCE, "LINK_TOKEN_SECRET");
+
+/**
+ * Issue a token describing a provider identity awaiting confirmation
+ * @param {Object} user - Existing user with the same email
+ * @param {Object} profile - Normalized provider profile
+ * @returns {string}
+ */
+const issueLinkToken = (user, profile) => {
+  return jwt.sign(
+    {
+      id: user._id,
+      provider: profile.provider,
+      subject: profile.subject,
+      email: profile.email,
+      avatar: profile.avatar || null,
+    },
+    getLinkSecret(),
+    {
+      audience: LINK_AUDIENCE,
+      expiresIn: "10m",
+    },
+  );
+};
+
+/**
+ * Verify a link token
+ * @param {string} linkToken - Token from issueLinkToken
+ * @returns {Object} Decoded payload { id, provider, subject, email, avatar }
+ */
+const verifyLinkToken = (linkToken) => {
+  try {
+    return jwt.verify(linkToken, getLinkSecret(), {
+      audience: LINK_AUDIENCE,
+    });
+  } catch (error) {
+    throw new ApiError(
+      401,
+      "Link request is invalid or has expired. Please sign in again.",
+    );
+  }
+};
+
+/**
+ * Describe a signed-in user's request to link a provider
+ * Stored with the OAuth state and checked again on the callback
+ * @param {Object} user - User document
+ * @param {string} provider - Provider name
+ * @returns {Object} { userId, tokenVersion, provider }
+ */
+const buildLinkIntent = (user, provider) => ({
+  userId: user._id.toString(),
+  tokenVersion: user.tokenVersion ?? 0,
+  provider,
+});
+
+/**
+ * List the ways a user can sign in
+ * Requires the password field to be selected
+ * @param {Object} user - User document
+ * @returns {string[]} e.g. ["password", "google", "microsoft"]
+ */
+const getSignInMethods = (user) => {
+  const methods = [];
+  if (user.password) methods.push("password");
+  if (user.googleId) methods.push("google");
+  (user.identities || []).forEach(({ provider }) => {
+    if (!methods.includes(provider)) methods.push(provider);
+  });
+  return methods;
+};
+
+module.exports = {
+  issueLinkToken,
+  verifyLinkToken,
+  buildLinkIntent,
+  getSignInMethods,
+};
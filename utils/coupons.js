@@ -0,0 +1,161 @@
+/**
+ * Coupons
+ * Applies discount codes to price breakdowns and records their use
+ */
+
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const { ApiError } = require("./errorHandler");
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normalize a code as entered by a student
+ * @param {string} code - Raw coupon code
+ * @returns {string|null} Upper-cased code, or null if blank
+ */
+const normalizeCouponCode = (code) =>
+  typeof code === "string" && code.trim() ? code.trim().toUpperCase() : null;
+
+const couponError = (message) =>
+  new ApiError(400, message, [{ field: "couponCode", message }]);
+
+/**
+ * Apply the coupon in the pricing fields to a price breakdown
+ * The discount is added as the last line item. Throws a 400 ApiError
+ * if the code is unknown or doesn't apply to the order.
+ * @param {Object} breakdown - From PricingRule.calculatePriceBreakdown
+ * @param {Object} fields - Pricing fields, including couponCode
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Check validity at this time (defaults to now)
+ * @returns {Promise<Object>} Breakdown with the discount applied
+ */
+const applyCoupon = async (breakdown, fields, { at = new Date() } = {}) => {
+  if (!fields.couponCode) return breakdown;
+
+  const coupon = await Coupon.findOne({ code: fields.couponCode });
+  if (!coupon) {
+    throw couponError("Invalid coupon code");
+  }
+
+  const reason = coupon.getIneligibilityReason(
+    fields,
+    breakdown.totalPrice,
+    at,
+  );
+  if (reason) {
+    throw couponError(reason);
+  }
+
+  const discount = coupon.calculateDiscount(breakdown.totalPrice);
+  const totalPrice = roundPrice(breakdown.totalPrice - discount);
+
+  return {
+    ...breakdown,
+    items: [
+      ...breakdown.items,
+      {
+        coupon: coupon._id,
+        name: coupon.code,
+        displayName: `Coupon ${coupon.code}`,
+        category: "discount",
+        appliesTo: coupon.discountType,
+        amount: -discount,
+        subtotal: totalPrice,
+      },
+    ],
+    discount,
+    totalPrice,
+  };
+};
+
+/**
+ * Record the use of an order's coupon
+ * Claims a slot under the global cap atomically, then checks the
+ * per-user cap. Throws a 409 ApiError if either cap is reached.
+ * @param {Object} order - Saved order with coupon and discountAmount set
+ * @returns {Promise<Object>} CouponRedemption document
+ */
+const redeemCoupon = async (order) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: order.coupon,
+      isActive: true,
+      $or: [
+        { maxRedemptions: null },
+        { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+      ],
+    },
+    { $inc: { redemptionCount: 1 } },
+    { new: true },
+  );
+
+  if (!coupon) {
+    throw new ApiError(409, "This coupon is no longer available");
+  }
+
+  const giveBack = () =>
+    Coupon.updateOne({ _id: coupon._id }, { $inc: { redemptionCount: -1 } });
+
+  let redemption;
+  try {
+    redemption = await CouponRedemption.create({
+      coupon: coupon._id,
+      code: coupon.code,
+      user: order.student,
+      order: order._id,
+      discount: order.discountAmount,
+      orderTotal: order.totalPrice,
+      currency: order.currency,
+      exchangeRate: order.exchangeRate,
+    });
+  } catch (error) {
+    await giveBack();
+    throw error;
+  }
+
+  // Counted after inserting so concurrent orders can't both slip under
+  if (coupon.maxRedemptionsPerUser !== null) {
+    const used = await CouponRedemption.countDocuments({
+      coupon: coupon._id,
+      user: order.student,
+      status: "redeemed",
+    });
+
+    if (used > coupon.maxRedemptionsPerUser) {
+      await redemption.deleteOne();
+      await giveBack();
+      throw new ApiError(409, "You have already used this coupon");
+    }
+  }
+
+  return redemption;
+};
+
+/**
+ * Give an order's coupon back so it can be used again
+ * @param {Object} order - Order document
+ * @returns {Promise<void>}
+ */
+const releaseCoupon = async (order) => {
+  if (!order.coupon) return;
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { order: order._id, status: "redeemed" },
+    { $set: { status: "released", releasedAt: new Date() } },
+  );
+
+  if (redemption) {
+    await Coupon.updateOne(
+      { _id: redemption.coupon },
+      { $inc: { redemptionCount: -1 } },
+    );
+  }
+};
+
+module.exports = {
+  normalizeCouponCode,
+  applyCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,116 @@
+/**
+ * Currencies
+ * Converts base-currency price breakdowns into the currency a student
+ * pays in, with per-currency rounding
+ */
+
+const Currency = require("../models/Currency");
+const { ApiError } = require("./errorHandler");
+
+/**
+ * Currency prices are calculated and reported in
+ * @returns {string} ISO 4217 code
+ */
+const getBaseCurrency = () =>
+  (process.env.BASE_CURRENCY || "USD").toUpperCase();
+
+// Aggregation expressions normalizing amounts to the base currency
+// (orders from before multi-currency have no rate and are in the base)
+const BASE_ORDER_TOTAL = { $ifNull: ["$baseTotalPrice", "$totalPrice"] };
+const toBaseAmount = (amountPath, ratePath = "$exchangeRate") => ({
+  $divide: [amountPath, { $ifNull: [ratePath, 1] }],
+});
+
+/**
+ * Round an amount the way a currency is charged
+ * @param {number} amount - Amount in the currency
+ * @param {Object} currency - { decimals, roundingIncrement }
+ * @returns {number}
+ */
+const roundAmount = (amount, { decimals = 2, roundingIncrement = null }) => {
+  const factor = 10 ** decimals;
+  const rounded = roundingIncrement
+    ? Math.round(amount / roundingIncrement) * roundingIncrement
+    : amount;
+  return Math.round(rounded * factor) / factor;
+};
+
+/**
+ * Look up an active currency to price in
+ * The base currency is always available, with or without a table entry.
+ * Throws a 400 ApiError for unknown or disabled currencies.
+ * @param {string} [code] - ISO 4217 code (defaults to the base currency)
+ * @returns {Promise<Object>} { code, rate, decimals, roundingIncrement }
+ */
+const getCurrency = async (code) => {
+  const base = getBaseCurrency();
+  const wanted = (code || base).toUpperCase();
+
+  const currency = await Currency.findOne({ code: wanted, isActive: true });
+
+  if (wanted === base) {
+    return {
+      code: base,
+      rate: 1,
+      decimals: currency ? currency.decimals : 2,
+      roundingIncrement: currency ? currency.roundingIncrement : null,
+    };
+  }
+
+  if (!currency) {
+    throw new ApiError(400, `Prices are not available in ${wanted}`, [
+      { field: "currency", message: "Unsupported currency" },
+    ]);
+  }
+
+  return currency;
+};
+
+/**
+ * Convert a base-currency price breakdown into another currency
+ * The converted total is authoritative; line amounts are converted
+ * individually for display. The base total and rate are kept so reports
+ * can normalize back to the base currency.
+ * @param {Object} breakdown - Price breakdown in the base currency
+ * @param {Object} currency - From getCurrency
+ * @returns {Object} Converted breakdown
+ */
+const convertBreakdown = (breakdown, currency) => {
+  const { rate } = currency;
+  const convert = (amount) =>
+    amount === undefined || amount === null
+      ? amount
+      : roundAmount(amount * rate, currency);
+
+  return {
+    ...breakdown,
+    currency: currency.code,
+    baseCurrency: getBaseCurrency(),
+    exchangeRate: rate,
+    baseTotalPrice: breakdown.totalPrice,
+    ratePerUnit: convert(breakdown.ratePerUnit),
+    basePricePerPage: convert(breakdown.basePricePerPage),
+    rateTiers: (breakdown.rateTiers || []).map((tier) => ({
+      ...tier,
+      rate: convert(tier.rate),
+      subtotal: convert(tier.subtotal),
+    })),
+    basePrice: convert(breakdown.basePrice),
+    items: breakdown.items.map((item) => ({
+      ...item,
+      amount: convert(item.amount),
+      subtotal: convert(item.subtotal),
+    })),
+    discount: convert(breakdown.discount),
+    totalPrice: convert(breakdown.totalPrice),
+  };
+};
+
+module.exports = {
+  BASE_ORDER_TOTAL,
+  toBaseAmount,
+  getBaseCurrency,
+  roundAmount,
+  getCurrency,
+  convertBreakdown,
+};
@@ -0,0 +1,42 @@
+/**
+ * File Types
+ * Allow-list of uploadable file extensions and the content type each one
+ * is stored and served with. The client's Content-Type is never trusted.
+ */
+
+const path = require("path");
+
+const FILE_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".odt": "application/vnd.oasis.opendocument.text",
+  ".rtf": "application/rtf",
+  ".txt": "text/plain",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".csv": "text/csv",
+  ".ppt": "application/vnd.ms-powerpoint",
+  ".pptx":
+    "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".zip": "application/zip",
+};
+
+const ALLOWED_EXTENSIONS = Object.keys(FILE_TYPES);
+
+/**
+ * Content type for a file name, from its extension
+ * @param {string} filename - File name
+ * @returns {string|null} Content type, or null if the extension isn't allowed
+ */
+const getContentType = (filename) =>
+  FILE_TYPES[path.extname(filename || "").toLowerCase()] || null;
+
+module.exports = {
+  ALLOWED_EXTENSIONS,
+  getContentType,
+};
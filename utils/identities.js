@@ -0,0 +1,138 @@
+/**
+ * Linked Identities
+ * Resolves the user for a provider sign-in and links identities
+ */
+
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { issueLinkToken } = require("./accountLinking");
+const { autoJoinOrganization } = require("./organizations");
+
+/**
+ * Link a provider identity to a user and audit it
+ * @param {Object} user - User document
+ * @param {Object} profile - Normalized provider profile
+ * @param {Object} context - { source, ipAddress }
+ * @returns {Promise<Object>} Saved user
+ */
+const linkIdentity = async (user, profile, { source, ipAddress }) => {
+  user.addIdentity(profile);
+  if (!user.avatar && profile.avatar) user.avatar = profile.avatar;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record({
+    action: "user.link_identity",
+    actor: user._id,
+    targetUser: user._id,
+    ipAddress,
+    metadata: { provider: profile.provider, source },
+  });
+
+  return user;
+};
+
+/**
+ * Work out who a provider sign-in belongs to
+ *
+ * Outcomes:
+ *   { user, linked: true } - a signed-in user linked the identity (intent)
+ *   { user }               - sign in as this user (existing or new)
+ *   { linkToken }          - an account with this (verified) email exists;
+ *                            its owner must confirm with their password
+ *   { error }              - link_failed, identity_in_use,
+ *                            account_deactivated, email_required,
+ *                            email_unverified, account_exists or
+ *                            account_conflict
+ *
+ * @param {Object} profile - Normalized provider profile
+ * @param {Object} context - { intent, ipAddress }, intent from the stored
+ *   OAuth state (see buildLinkIntent)
+ * @returns {Promise<Object>}
+ */
+const resolveOAuthUser = async (profile, { intent, ipAddress }) => {
+  const owner = await User.findByIdentity(profile.provider, profile.subject);
+
+  // A signed-in user is linking this provider to their account
+  if (intent) {
+    const user = await User.findById(intent.userId);
+
+    if (
+      !user ||
+      !user.isActive ||
+      intent.provider !== profile.provider ||
+      intent.tokenVersion !== user.tokenVersion
+    ) {
+      return { error: "link_failed" };
+    }
+
+    if (owner && !owner._id.equals(user._id)) {
+      return { error: "identity_in_use" };
+    }
+
+    await linkIdentity(user, profile, { source: "settings", ipAddress });
+    return { user, linked: true };
+  }
+
+  if (owner) {
+    if (!owner.isActive) return { error: "account_deactivated" };
+
+    const identity = owner.findIdentity(profile.provider);
+    identity.lastUsedAt = new Date();
+    if (profile.email) identity.email = profile.email;
+    await owner.save({ validateBeforeSave: false });
+
+    return { user: owner };
+  }
+
+  if (!profile.email) return { error: "email_required" };
+
+  // Only an address the provider has verified may match an existing
+  // account, and an unverified one can't claim an address that's taken
+  if (profile.emailVerified) {
+    const existing = await User.findOne({ email: profile.email }).select(
+      "+password",
+    );
+
+    if (existing) {
+      if (!existing.isActive || existing.findIdentity(profile.provider)) {
+        return { error: "account_conflict" };
+      }
+
+      // Never link silently: the owner has to confirm with their password
+      // first (POST /auth/link/:provider/confirm). Accounts without a
+      // password have to sign in and link from their settings instead.
+      if (!existing.password) return { error: "account_exists" };
+
+      return { linkToken: issueLinkToken(existing, profile) };
+    }
+  } else if (await User.exists({ email: profile.email })) {
+    return { error: "email_unverified" };
+  }
+
+  const user = new User({
+    firstName: profile.firstName,
+    lastName: profile.lastName,
+    email: profile.email,
+    avatar: profile.avatar,
+    authProvider: profile.provider,
+    isVerified: profile.emailVerified,
+    identities: [
+      {
+        provider: profile.provider,
+        subject: profile.subject,
+        email: profile.email,
+        lastUsedAt: new Date(),
+      },
+    ],
+  });
+
+  await user.save();
+  await autoJoinOrganization(user, { ipAddress });
+
+  return { user };
+};
+
+module.exports = {
+  linkIdentity,
+  resolveOAuthUser,
+};
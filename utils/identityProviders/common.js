@@ -0,0 +1,76 @@
+/**
+ * Identity Provider Helpers
+ * HTTP and profile helpers shared by the provider modules
+ */
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Callback URL registered with a provider
+ * <NAME>_CALLBACK_URL overrides the default API_URL/api/v1/auth/oauth/<name>/callback
+ * @param {string} name - Provider name
+ * @returns {string}
+ */
+const getCallbackUrl = (name) => {
+  const override = process.env[`${name.toUpperCase()}_CALLBACK_URL`];
+  if (override) return override;
+
+  const apiUrl = (process.env.API_URL || "http://localhost:3000").replace(
+    /\/+$/,
+    "",
+  );
+  return `${apiUrl}/api/v1/auth/oauth/${name}/callback`;
+};
+
+/**
+ * Fetch JSON from a provider, failing on non-2xx responses
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>}
+ */
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: { Accept: "application/json", ...options.headers },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || body.error) {
+    throw new Error(
+      `Identity provider request to ${new URL(url).host} failed: ${
+        body.error_description || body.error || response.status
+      }`,
+    );
+  }
+
+  return body;
+};
+
+/**
+ * Split a display name into first and last name
+ * Users require both, so a missing last name falls back to "-"
+ * @param {string} [fullName]
+ * @param {string} [fallback] - Used when there is no name at all
+ * @returns {Object} { firstName, lastName }
+ */
+const splitName = (fullName, fallback = "User") => {
+  const parts = String(fullName || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (parts.length === 0) return { firstName: fallback, lastName: "-" };
+
+  return {
+    firstName: parts[0].slice(0, 50),
+    lastName: (parts.slice(1).join(" ") || "-").slice(0, 50),
+  };
+};
+
+module.exports = {
+  getCallbackUrl,
+  fetchJson,
+  splitName,
+};
@@ -0,0 +1,20 @@
+/**
+ * Generic OpenID Connect Provider
+ * Any standards-compliant issuer (Keycloak, Okta, Auth0, a university IdP)
+ *
+ * Configured with OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET.
+ * OIDC_DISPLAY_NAME sets the button label.
+ */
+
+const { createOidcProvider } = require("./oidc");
+
+module.exports = createOidcProvider({
+  name: "oidc",
+  displayName: process.env.OIDC_DISPLAY_NAME || "Single sign-on",
+  getConfig: () => ({
+    issuer: process.env.OIDC_ISSUER,
+    clientId: process.env.OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET,
+  }),
+  scope: process.env.OIDC_SCOPE || "openid email profile",
+});
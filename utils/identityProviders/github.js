@@ -0,0 +1,88 @@
+/**
+ * GitHub Identity Provider
+ * Plain OAuth 2.0 (GitHub doesn't support OpenID Connect for apps)
+ *
+ * The profile comes from the REST API; the email is the user's primary
+ * verified address from /user/emails.
+ */
+
+const { getCallbackUrl, fetchJson, splitName } = require("./common");
+
+const AUTHORIZE_URL = "https://github.com/login/oauth/authorize";
+const TOKEN_URL = "https://github.com/login/oauth/access_token";
+const API_URL = "https://api.github.com";
+
+const getConfig = () => ({
+  clientId: process.env.GITHUB_CLIENT_ID,
+  clientSecret: process.env.GITHUB_CLIENT_SECRET,
+});
+
+const fetchApi = (path, accessToken) =>
+  fetchJson(`${API_URL}${path}`, {
+    headers: {
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${accessToken}`,
+      // GitHub rejects API requests without a User-Agent
+      "User-Agent": "academic-marketplace",
+    },
+  });
+
+module.exports = {
+  name: "github",
+  displayName: "GitHub",
+
+  isConfigured() {
+    const { clientId, clientSecret } = getConfig();
+    return Boolean(clientId && clientSecret);
+  },
+
+  async getAuthorizationUrl({ state, codeChallenge }) {
+    const url = new URL(AUTHORIZE_URL);
+
+    url.search = new URLSearchParams({
+      client_id: getConfig().clientId,
+      redirect_uri: getCallbackUrl("github"),
+      scope: "read:user user:email",
+      state,
+      code_challenge: codeChallenge,
+      code_challenge_method: "S256",
+      allow_signup: "false",
+    }).toString();
+
+    return url.toString();
+  },
+
+  async fetchProfile({ code, codeVerifier }) {
+    const { clientId, clientSecret } = getConfig();
+
+    const tokens = await fetchJson(TOKEN_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        client_id: clientId,
+        client_secret: clientSecret,
+        code,
+        redirect_uri: getCallbackUrl("github"),
+        code_verifier: codeVerifier,
+      }).toString(),
+    });
+
+    const [account, emails] = await Promise.all([
+      fetchApi("/user", tokens.access_token),
+      fetchApi("/user/emails", tokens.access_token),
+    ]);
+
+    const primary =
+      emails.find((entry) => entry.primary && entry.verified) ||
+      emails.find((entry) => entry.verified);
+
+    return {
+      provider: "github",
+      subject: String(account.id),
+      email: primary ? primary.email.toLowerCase() : null,
+      emailVerified: Boolean(primary),
+      ...splitName(account.name, account.login),
+      avatar: account.avatar_url || null,
+    };
+  },
+};
@@ -0,0 +1,21 @@
+/**
+ * Google Identity Provider
+ * OpenID Connect against accounts.google.com
+ */
+
+const { createOidcProvider } = require("./oidc");
+
+const ISSUER = "https://accounts.google.com";
+
+module.exports = createOidcProvider({
+  name: "google",
+  displayName: "Google",
+  getConfig: () => ({
+    issuer: ISSUER,
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+  }),
+  // Google issues ID tokens with and without the scheme
+  validateIssuer: (claims) =>
+    [ISSUER, "accounts.google.com"].includes(claims.iss),
+});
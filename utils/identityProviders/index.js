@@ -0,0 +1,63 @@
+/**
+ * Identity Providers
+ * Registry for pluggable OAuth / OpenID Connect sign-in providers
+ *
+ * A provider is an object with:
+ *   name                - Key used in URLs, sessions and User.identities
+ *   displayName         - Label for the sign-in button
+ *   isConfigured        - () => boolean; unconfigured providers are hidden
+ *   getAuthorizationUrl - async ({ state, codeChallenge, nonce }) => url
+ *   fetchProfile        - async ({ code, codeVerifier, nonce }) => profile
+ *                         { provider, subject, email, emailVerified,
+ *                           firstName, lastName, avatar }
+ *                         throws if the code or ID token is rejected
+ */
+
+const google = require("./google");
+const microsoft = require("./microsoft");
+const github = require("./github");
+const genericOidc = require("./genericOidc");
+
+const PROVIDER_NAMES = ["google", "microsoft", "github", "oidc"];
+
+// No prototype, so names from the request never resolve to Object members
+const providers = Object.create(null);
+
+/**
+ * Register an identity provider
+ * @param {Object} provider - Provider implementing the interface above
+ */
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+/**
+ * Get a configured provider by name
+ * @param {string} name - Provider name
+ * @returns {Object|undefined} Provider
+ */
+const getProvider = (name) => {
+  const provider = providers[name];
+  return provider && provider.isConfigured() ? provider : undefined;
+};
+
+/**
+ * List configured providers for the sign-in page
+ * @returns {Object[]} [{ name, displayName }]
+ */
+const listProviders = () =>
+  Object.values(providers)
+    .filter((provider) => provider.isConfigured())
+    .map(({ name, displayName }) => ({ name, displayName }));
+
+registerProvider(google);
+registerProvider(microsoft);
+registerProvider(github);
+registerProvider(genericOidc);
+
+module.exports = {
+  PROVIDER_NAMES,
+  registerProvider,
+  getProvider,
+  listProviders,
+};
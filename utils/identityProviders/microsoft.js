@@ -0,0 +1,35 @@
+/**
+ * Microsoft Identity Provider
+ * OpenID Connect against the Microsoft identity platform (Entra ID)
+ *
+ * MICROSOFT_TENANT defaults to "common" so both work/school (university)
+ * and personal accounts can sign in. Set a tenant ID or "organizations"
+ * to restrict it.
+ */
+
+const { createOidcProvider, defaultMapClaims } = require("./oidc");
+
+const getTenant = () => process.env.MICROSOFT_TENANT || "common";
+
+module.exports = createOidcProvider({
+  name: "microsoft",
+  displayName: "Microsoft",
+  getConfig: () => ({
+    issuer: `https://login.microsoftonline.com/${getTenant()}/v2.0`,
+    clientId: process.env.MICROSOFT_CLIENT_ID,
+    clientSecret: process.env.MICROSOFT_CLIENT_SECRET,
+  }),
+  // Multi-tenant discovery documents use a {tenantid} placeholder
+  validateIssuer: (claims, discovery) =>
+    Boolean(claims.tid) &&
+    claims.iss === discovery.issuer.replace("{tenantid}", claims.tid),
+  mapClaims: (claims) => {
+    // Entra ID doesn't assert that email addresses are verified, so
+    // they're only used to pre-fill the profile, never to match accounts
+    const email = claims.email || claims.preferred_username;
+    return {
+      ...defaultMapClaims({ ...claims, email }),
+      emailVerified: false,
+    };
+  },
+});
@@ -0,0 +1,181 @@
+/**
+ * OpenID Connect Provider Factory
+ * Builds a provider from an issuer's discovery document
+ *
+ * Uses the authorization code flow with PKCE. The ID token is verified
+ * against the issuer's JWKS (signature, issuer, audience, expiry, nonce).
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { getCallbackUrl, fetchJson, splitName } = require("./common");
+
+const SIGNING_ALGORITHMS = ["RS256", "RS384", "RS512", "PS256", "ES256"];
+
+/**
+ * Map standard OIDC claims to a profile
+ * @param {Object} claims - ID token claims merged with userinfo
+ * @returns {Object} Profile fields
+ */
+const defaultMapClaims = (claims) => {
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  const fallbackName = splitName(claims.name, email?.split("@")[0]);
+
+  return {
+    email,
+    emailVerified:
+      claims.email_verified === true || claims.email_verified === "true",
+    firstName: claims.given_name || fallbackName.firstName,
+    lastName: claims.family_name || fallbackName.lastName,
+    avatar: claims.picture || null,
+  };
+};
+
+/**
+ * Create an OIDC provider
+ * @param {Object} options
+ * @param {string} options.name - Provider name
+ * @param {string} options.displayName - Name shown on the login page
+ * @param {Function} options.getConfig - () => { issuer, clientId, clientSecret }
+ * @param {string} [options.scope] - Requested scopes
+ * @param {Function} [options.validateIssuer] - (claims, discovery) => boolean,
+ *   for issuers whose discovery document uses a placeholder
+ * @param {Function} [options.mapClaims] - (claims) => profile fields
+ * @returns {Object} Provider
+ */
+const createOidcProvider = ({
+  name,
+  displayName,
+  getConfig,
+  scope = "openid email profile",
+  validateIssuer,
+  mapClaims = defaultMapClaims,
+}) => {
+  let discovery = null;
+  let jwks = null;
+
+  const discover = async () => {
+    const { issuer } = getConfig();
+
+    if (!discovery || discovery.issuer !== issuer) {
+      const document = await fetchJson(
+        `${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`,
+      );
+      discovery = { issuer, document };
+      jwks = null;
+    }
+
+    return discovery.document;
+  };
+
+  const getSigningKey = async (kid) => {
+    const document = await discover();
+    const findKey = () =>
+      (jwks || []).find((key) => !kid || key.kid === kid) || null;
+
+    // Refetch on an unknown key ID in case the issuer rotated its keys
+    if (!findKey()) {
+      jwks = (await fetchJson(document.jwks_uri)).keys || [];
+    }
+
+    const jwk = findKey();
+    if (!jwk) throw new Error(`${name}: no signing key found for ID token`);
+
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  };
+
+  const verifyIdToken = async (idToken, nonce) => {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error(`${name}: malformed ID token`);
+
+    const document = await discover();
+    const key = await getSigningKey(decoded.header.kid);
+
+    const claims = jwt.verify(idToken, key, {
+      algorithms: SIGNING_ALGORITHMS,
+      audience: getConfig().clientId,
+      ...(!validateIssuer && { issuer: document.issuer }),
+    });
+
+    if (validateIssuer && !validateIssuer(claims, document)) {
+      throw new Error(`${name}: unexpected ID token issuer ${claims.iss}`);
+    }
+
+    if (!nonce || claims.nonce !== nonce) {
+      throw new Error(`${name}: ID token nonce mismatch`);
+    }
+
+    return claims;
+  };
+
+  return {
+    name,
+    displayName,
+
+    isConfigured() {
+      const { issuer, clientId, clientSecret } = getConfig();
+      return Boolean(issuer && clientId && clientSecret);
+    },
+
+    async getAuthorizationUrl({ state, codeChallenge, nonce }) {
+      const document = await discover();
+      const url = new URL(document.authorization_endpoint);
+
+      url.search = new URLSearchParams({
+        response_type: "code",
+        client_id: getConfig().clientId,
+        redirect_uri: getCallbackUrl(name),
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: "S256",
+      }).toString();
+
+      return url.toString();
+    },
+
+    async fetchProfile({ code, codeVerifier, nonce }) {
+      const document = await discover();
+      const { clientId, clientSecret } = getConfig();
+
+      const tokens = await fetchJson(document.token_endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({
+          grant_type: "authorization_code",
+          code,
+          redirect_uri: getCallbackUrl(name),
+          client_id: clientId,
+          client_secret: clientSecret,
+          code_verifier: codeVerifier,
+        }).toString(),
+      });
+
+      if (!tokens.id_token) {
+        throw new Error(`${name}: token response has no ID token`);
+      }
+
+      let claims = await verifyIdToken(tokens.id_token, nonce);
+
+      // Some issuers only return profile claims from the userinfo endpoint
+      if (!claims.email && document.userinfo_endpoint && tokens.access_token) {
+        const userinfo = await fetchJson(document.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        });
+        if (userinfo.sub === claims.sub) claims = { ...userinfo, ...claims };
+      }
+
+      return {
+        provider: name,
+        subject: String(claims.sub),
+        ...mapClaims(claims),
+      };
+    },
+  };
+};
+
+module.exports = {
+  createOidcProvider,
+  defaultMapClaims,
+};
@@ -0,0 +1,96 @@
+/**
+ * Mailer
+ * Renders templates and sends them through the configured transport
+ *
+ * MAIL_TRANSPORT selects the transport: smtp, file or memory.
+ * Defaults to smtp when SMTP_HOST is set or NODE_ENV=production, memory
+ * under NODE_ENV=test, and file otherwise.
+ */
+
+const transports = require("./transports");
+const templates = require("./templates");
+
+let transport = null;
+
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST || process.env.NODE_ENV === "production") {
+    return "smtp";
+  }
+  if (process.env.NODE_ENV === "test") return "memory";
+  return "file";
+};
+
+/**
+ * Check that emails are actually delivered (SMTP with a host), not just
+ * written to disk or kept in memory
+ * @returns {boolean}
+ */
+const isDeliveryConfigured = () =>
+  getTransportName() === "smtp" && Boolean(process.env.SMTP_HOST);
+
+/**
+ * Get the active transport, creating it on first use
+ * @returns {Object} Transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    const factory = transports[getTransportName()];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${getTransportName()}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replace the active transport (e.g. with a memory transport in tests)
+ * @param {Object} customTransport - Object with send(message)
+ */
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Build a link into the frontend app
+ * @param {string} pathname - Path starting with "/"
+ * @returns {string}
+ */
+const clientUrl = (pathname) => {
+  const base = (process.env.CLIENT_URL || "http://localhost:3000").replace(
+    /\/+$/,
+    "",
+  );
+  return `${base}${pathname}`;
+};
+
+/**
+ * Render a template and send it
+ * @param {Object} options - { to, template, data }
+ * @returns {Promise<Object>} { messageId }
+ */
+const sendMail = async ({ to, template, data }) => {
+  const render = templates[template];
+  if (!render) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+
+  const { subject, text, html } = render(data);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@academic-marketplace.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = {
+  sendMail,
+  clientUrl,
+  getTransport,
+  setTransport,
+  isDeliveryConfigured,
+};
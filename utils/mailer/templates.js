@@ -0,0 +1,110 @@
+/**
+ * Email Templates
+ * Each template takes data and returns { subject, text, html }
+ */
+
+const APP_NAME = "Academic Services Marketplace";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/**
+ * Wrap a message with a call-to-action link in a minimal HTML layout
+ */
+const layout = ({ greeting, intro, actionLabel, url, outro }) => `
+<div style="font-family: Arial, sans-serif; max-width: 560px; margin: 0 auto;">
+  <h2>${APP_NAME}</h2>
+  <p>${escapeHtml(greeting)}</p>
+  <p>${escapeHtml(intro)}</p>
+  <p>
+    <a href="${escapeHtml(url)}" style="display: inline-block; padding: 10px 18px; background: #2563eb; color: #fff; text-decoration: none; border-radius: 4px;">
+      ${escapeHtml(actionLabel)}
+    </a>
+  </p>
+  <p style="color: #555; font-size: 13px;">${escapeHtml(outro)}</p>
+</div>
+`;
+
+const templates = {
+  passwordReset: ({ user, url, expiresInMinutes }) => {
+    const greeting = `Hi ${user.firstName},`;
+    const intro =
+      "We received a request to reset your password. Use the link below to choose a new one.";
+    const outro = `This link expires in ${expiresInMinutes} minutes. If you didn't request a reset, you can ignore this email.`;
+
+    return {
+      subject: `${APP_NAME} - Reset your password`,
+      text: `${greeting}\n\n${intro}\n\n${url}\n\n${outro}`,
+      html: layout({
+        greeting,
+        intro,
+        actionLabel: "Reset password",
+        url,
+        outro,
+      }),
+    };
+  },
+
+  passwordResetRequired: ({ user, url, expiresInHours }) => {
+    const greeting = `Hi ${user.firstName},`;
+    const intro =
+      "An administrator has required you to choose a new password. You have been signed out and can log in again once your password is reset.";
+    const outro = `This link expires in ${expiresInHours} hours. If it expires, use "Forgot password" to get a new one.`;
+
+    return {
+      subject: `${APP_NAME} - Please reset your password`,
+      text: `${greeting}\n\n${intro}\n\n${url}\n\n${outro}`,
+      html: layout({
+        greeting,
+        intro,
+        actionLabel: "Reset password",
+        url,
+        outro,
+      }),
+    };
+  },
+
+  accountDeletionScheduled: ({ user, url, deletionDate }) => {
+    const greeting = `Hi ${user.firstName},`;
+    const intro = `Your account is scheduled for deletion on ${deletionDate}. Until then you can still sign in and cancel the deletion from your account settings.`;
+    const outro =
+      "After that date your personal data is removed permanently. If you didn't request this, cancel the deletion and change your password.";
+
+    return {
+      subject: `${APP_NAME} - Your account is scheduled for deletion`,
+      text: `${greeting}\n\n${intro}\n\n${url}\n\n${outro}`,
+      html: layout({
+        greeting,
+        intro,
+        actionLabel: "Manage account",
+        url,
+        outro,
+      }),
+    };
+  },
+
+  verifyEmail: ({ user, url, expiresInHours }) => {
+    const greeting = `Hi ${user.firstName},`;
+    const intro =
+      "Please confirm your email address to finish setting up your account.";
+    const outro = `This link expires in ${expiresInHours} hours.`;
+
+    return {
+      subject: `${APP_NAME} - Verify your email`,
+      text: `${greeting}\n\n${intro}\n\n${url}\n\n${outro}`,
+      html: layout({
+        greeting,
+        intro,
+        actionLabel: "Verify email",
+        url,
+        outro,
+      }),
+    };
+  },
+};
+
+module.exports = templates;
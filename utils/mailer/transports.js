@@ -0,0 +1,77 @@
+/**
+ * Mail Transports
+ * Each transport exposes send(message) => Promise<{ messageId }>
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+/**
+ * File transport - writes each message as JSON to MAIL_DIR
+ * Useful in development to read emails without an SMTP server
+ */
+const createFileTransport = () => {
+  const dir = path.resolve(
+    process.env.MAIL_DIR || path.join(__dirname, "..", "..", "mail"),
+  );
+
+  return {
+    name: "file",
+    send: async (message) => {
+      const messageId = crypto.randomUUID();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(dir, `${Date.now()}-${messageId}.json`),
+        JSON.stringify({ messageId, ...message }, null, 2),
+      );
+      return { messageId };
+    },
+  };
+};
+
+/**
+ * In-memory transport - keeps sent messages in `outbox` for tests
+ */
+const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: "memory",
+    outbox,
+    send: async (message) => {
+      const messageId = crypto.randomUUID();
+      outbox.push({ messageId, ...message });
+      return { messageId };
+    },
+  };
+};
+
+module.exports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
@@ -0,0 +1,38 @@
+/**
+ * Database Migrations
+ * Brings collections created by earlier releases in line with the current
+ * models. Every migration is safe to run more than once.
+ *
+ * Usage: npm run migrate
+ */
+
+const path = require("path");
+const dotenv = require("dotenv");
+dotenv.config();
+dotenv.config({ path: path.join(__dirname, "..", "config.env") });
+
+const mongoose = require("mongoose");
+const migratePricingRuleVersions = require("./migrations/pricingRuleVersions");
+const migrateOrderRefundedAmounts = require("./migrations/orderRefundedAmounts");
+
+// Run in order
+const migrations = [
+  ["pricing rule versions", migratePricingRuleVersions],
+  ["order refunded amounts", migrateOrderRefundedAmounts],
+];
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  for (const [name, migrate] of migrations) {
+    const result = await migrate();
+    console.log(`✅ Migrated ${name}:`, result);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("❌ Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
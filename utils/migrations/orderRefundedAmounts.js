@@ -0,0 +1,34 @@
+/**
+ * Migration: Order Refunded Amounts
+ * Orders refunded before refundedAmount existed have it unset, so
+ * organization spend would count them at their full price. Sets it from
+ * the order's processed refunds.
+ */
+
+const Order = require("../../models/Order");
+const Refund = require("../../models/Refund");
+const { REFUNDED_STATUSES } = require("../refunds");
+
+/**
+ * Run the migration (safe to run more than once)
+ * @returns {Promise<Object>} { orders }
+ */
+const migrateOrderRefundedAmounts = async () => {
+  const totals = await Refund.aggregate([
+    { $match: { status: { $in: REFUNDED_STATUSES } } },
+    { $group: { _id: "$order", refunded: { $sum: "$amount" } } },
+  ]);
+
+  let orders = 0;
+  for (const { _id, refunded } of totals) {
+    const result = await Order.updateOne(
+      { _id, refundedAmount: { $ne: refunded } },
+      { $set: { refundedAmount: refunded } },
+    );
+    orders += result.modifiedCount;
+  }
+
+  return { orders };
+};
+
+module.exports = migrateOrderRefundedAmounts;
@@ -0,0 +1,52 @@
+/**
+ * Migration: Versioned Pricing Rules
+ * Rules created before versioning have a plain unique index on name and no
+ * lineage/version. Drops that index (names are now unique only among
+ * current versions) and makes each existing rule the first version of its
+ * own lineage.
+ */
+
+const PricingRule = require("../../models/PricingRule");
+
+const LEGACY_NAME_INDEX = "name_1";
+
+/**
+ * Run the migration (safe to run more than once)
+ * @returns {Promise<Object>} { droppedLegacyIndex, lineages, versions }
+ */
+const migratePricingRuleVersions = async () => {
+  const collection = PricingRule.collection;
+
+  const indexes = await collection.indexes().catch((error) => {
+    // The collection doesn't exist yet, so there's nothing to migrate
+    if (error.codeName === "NamespaceNotFound") return [];
+    throw error;
+  });
+  const legacyIndex = indexes.find(
+    (index) =>
+      index.name === LEGACY_NAME_INDEX && !index.partialFilterExpression,
+  );
+
+  if (legacyIndex) {
+    await collection.dropIndex(LEGACY_NAME_INDEX);
+  }
+
+  const lineages = await collection.updateMany({ lineage: null }, [
+    { $set: { lineage: "$_id" } },
+  ]);
+  const versions = await collection.updateMany(
+    { version: null },
+    { $set: { version: 1 } },
+  );
+
+  // Build the partial name index and the lineage/version index
+  await PricingRule.createIndexes();
+
+  return {
+    droppedLegacyIndex: Boolean(legacyIndex),
+    lineages: lineages.modifiedCount,
+    versions: versions.modifiedCount,
+  };
+};
+
+module.exports = migratePricingRuleVersions;
@@ -0,0 +1,172 @@
+/**
+ * OAuth Helpers
+ * Redirect allow-list and the authorization request round trip
+ *
+ * Each authorization request is kept server-side (provider, PKCE
+ * verifier, OIDC nonce, redirect target, link intent) under a random
+ * one-time state value, and bound to the browser with a nonce cookie so a
+ * callback can't be replayed from another browser (login CSRF).
+ */
+
+const crypto = require("crypto");
+const OneTimeToken = require("../models/OneTimeToken");
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const NONCE_COOKIE = "oauth_nonce";
+
+/**
+ * Redirect targets the OAuth flow may send users back to
+ * OAUTH_ALLOWED_REDIRECTS is a comma-separated list of full URLs;
+ * defaults to CLIENT_URL/auth/callback
+ * @returns {string[]}
+ */
+const getAllowedRedirects = () => {
+  const configured = (process.env.OAUTH_ALLOWED_REDIRECTS || "")
+    .split(",")
+    .map((target) => target.trim())
+    .filter(Boolean);
+
+  if (configured.length > 0) return configured;
+
+  const base = (process.env.CLIENT_URL || "http://localhost:3000").replace(
+    /\/+$/,
+    "",
+  );
+  return [`${base}/auth/callback`];
+};
+
+/**
+ * Pick the redirect target for a request
+ * @param {string} [requested] - redirect_uri from the client
+ * @returns {string|null} Allowed target, or null if not allowed
+ */
+const resolveRedirectTarget = (requested) => {
+  const allowed = getAllowedRedirects();
+  if (!requested) return allowed[0];
+  return allowed.includes(requested) ? requested : null;
+};
+
+/**
+ * Append query parameters to a redirect target
+ * @param {string} target - Allowed redirect URL
+ * @param {Object} params - Query parameters
+ * @returns {string}
+ */
+const buildRedirectUrl = (target, params) => {
+  const url = new URL(target);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value),
+  );
+  return url.toString();
+};
+
+const hashNonce = (nonce) =>
+  crypto.createHash("sha256").update(String(nonce)).digest("hex");
+
+/**
+ * Read a cookie from the request headers
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null}
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie || "";
+  for (const part of header.split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+};
+
+const nonceCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path: "/",
+});
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+/**
+ * Start an authorization request and get the provider URL to redirect to
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response (receives the nonce cookie)
+ * @param {Object} provider - Identity provider
+ * @param {Object} options
+ * @param {string} options.redirect - Allowed redirect target
+ * @param {Object} [options.intent] - Link intent (see buildLinkIntent)
+ * @returns {Promise<string>} Authorization URL
+ */
+const startAuthorization = async (req, res, provider, { redirect, intent }) => {
+  const browserNonce = crypto.randomBytes(16).toString("hex");
+  const verifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(verifier).digest(),
+  );
+  const nonce = base64url(crypto.randomBytes(16));
+
+  const state = await OneTimeToken.issue(
+    "oauth_state",
+    {
+      provider: provider.name,
+      verifier,
+      nonce,
+      nonceHash: hashNonce(browserNonce),
+      redirect,
+      intent: intent || null,
+    },
+    STATE_TTL_MS,
+  );
+
+  res.cookie(NONCE_COOKIE, browserNonce, {
+    ...nonceCookieOptions(),
+    maxAge: STATE_TTL_MS,
+  });
+
+  return provider.getAuthorizationUrl({ state, codeChallenge, nonce });
+};
+
+/**
+ * Check the callback's state and exchange the code for a profile
+ * @param {Object} req - Express request (provider callback)
+ * @param {Object} res - Express response (clears the nonce cookie)
+ * @param {Object} provider - Identity provider
+ * @returns {Promise<Object>} { state, profile } or { state, error }
+ *   state is null when the request can't be matched to one we started
+ */
+const completeAuthorization = async (req, res, provider) => {
+  const state = req.query.state
+    ? await OneTimeToken.consume("oauth_state", String(req.query.state))
+    : null;
+  const browserNonce = readCookie(req, NONCE_COOKIE);
+  res.clearCookie(NONCE_COOKIE, nonceCookieOptions());
+
+  if (
+    !state ||
+    state.provider !== provider.name ||
+    !browserNonce ||
+    hashNonce(browserNonce) !== state.nonceHash
+  ) {
+    return { state: null, error: "invalid_state" };
+  }
+
+  // The user declined, or the provider refused the request
+  if (req.query.error || !req.query.code) {
+    return { state, error: "access_denied" };
+  }
+
+  const profile = await provider.fetchProfile({
+    code: String(req.query.code),
+    codeVerifier: state.verifier,
+    nonce: state.nonce,
+  });
+
+  return { state, profile };
+};
+
+module.exports = {
+  resolveRedirectTarget,
+  buildRedirectUrl,
+  startAuthorization,
+  completeAuthorization,
+};
@@ -0,0 +1,63 @@
+/**
+ * Order Status State Machine
+ * Central transition table for order lifecycle changes
+ */
+
+const { ApiError } = require("./errorHandler");
+
+const ORDER_STATUSES = [
+  "pending",
+  "in_progress",
+  "review",
+  "completed",
+  "cancelled",
+  "refunded",
+];
+
+// Allowed next statuses for each status
+const TRANSITIONS = {
+  pending: ["in_progress", "cancelled"],
+  in_progress: ["review", "cancelled"],
+  review: ["completed", "in_progress", "cancelled"],
+  completed: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+// Statuses an order can no longer progress out of (refunds aside)
+const TERMINAL_STATUSES = ["completed", "cancelled", "refunded"];
+
+/**
+ * Check whether an order may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+const canTransition = (from, to) => {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Throw a 409 ApiError if the transition is not allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ */
+const assertTransition = (from, to) => {
+  if (!ORDER_STATUSES.includes(to)) {
+    throw new ApiError(400, `Invalid status: ${to}`);
+  }
+  if (!canTransition(from, to)) {
+    throw new ApiError(
+      409,
+      `Cannot change order status from '${from}' to '${to}'`,
+    );
+  }
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  TERMINAL_STATUSES,
+  canTransition,
+  assertTransition,
+};
@@ -0,0 +1,273 @@
+/**
+ * Organizations
+ * Membership changes, domain auto-join and organization billing limits
+ */
+
+const Organization = require("../models/Organization");
+const Order = require("../models/Order");
+const AuditLog = require("../models/AuditLog");
+const { ApiError } = require("./errorHandler");
+const {
+  BASE_ORDER_TOTAL,
+  toBaseAmount,
+  getBaseCurrency,
+} = require("./currencies");
+
+// Payment states that count towards an organization's spend
+const BILLED_PAYMENT_STATUSES = ["paid", "partially_refunded"];
+
+/**
+ * Add a user to an organization and audit it
+ * Caller checks the user isn't in another organization.
+ * @param {Object} user - User document
+ * @param {Object} organization - Organization document
+ * @param {Object} context - { role, actor, source, ipAddress }
+ * @returns {Promise<Object>} Saved user
+ */
+const joinOrganization = async (
+  user,
+  organization,
+  { role = "member", actor, source, ipAddress },
+) => {
+  user.organization = organization._id;
+  user.organizationRole = role;
+  user.organizationJoinedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  if (organization.excludedUsers.some((id) => id.equals(user._id))) {
+    organization.excludedUsers.pull(user._id);
+    await organization.save();
+  }
+
+  await AuditLog.record({
+    action: "organization.join",
+    actor: actor ? actor._id : user._id,
+    targetUser: user._id,
+    ipAddress,
+    metadata: { organization: organization._id, role, source },
+  });
+
+  return user;
+};
+
+/**
+ * Remove a user from their organization and audit it
+ * Removed users don't auto-join again until an admin re-adds them.
+ * @param {Object} user - User document
+ * @param {Object} organization - Organization document
+ * @param {Object} context - { actor, ipAddress }
+ * @returns {Promise<Object>} Saved user
+ */
+const leaveOrganization = async (user, organization, { actor, ipAddress }) => {
+  user.organization = null;
+  user.organizationRole = null;
+  user.organizationJoinedAt = null;
+  await user.save({ validateBeforeSave: false });
+
+  organization.excludedUsers.addToSet(user._id);
+  await organization.save();
+
+  await AuditLog.record({
+    action: "organization.leave",
+    actor: actor ? actor._id : user._id,
+    targetUser: user._id,
+    ipAddress,
+    metadata: { organization: organization._id },
+  });
+
+  return user;
+};
+
+/**
+ * Join the organization that owns the user's verified email domain
+ * Never throws: a failed auto-join mustn't block sign-up or verification.
+ * @param {Object} user - User document
+ * @param {Object} [context] - { ipAddress }
+ * @returns {Promise<Object|null>} Organization joined, or null
+ */
+const autoJoinOrganization = async (user, { ipAddress } = {}) => {
+  try {
+    if (!user.isVerified || user.organization || user.deletedAt) return null;
+
+    const organization = await Organization.findByEmailDomain(user.email);
+
+    if (
+      !organization ||
+      !organization.autoJoin ||
+      organization.excludedUsers.some((id) => id.equals(user._id))
+    ) {
+      return null;
+    }
+
+    await joinOrganization(user, organization, {
+      source: "email_domain",
+      ipAddress,
+    });
+    return organization;
+  } catch (error) {
+    console.error("Organization auto-join error:", error);
+    return null;
+  }
+};
+
+/**
+ * Start of the current billing month (UTC)
+ * @param {Date} [now]
+ * @returns {Date}
+ */
+const getBillingPeriodStart = (now = new Date()) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+/**
+ * Total billed to an organization since a date, less refunds, in the base
+ * currency
+ * @param {Object} organizationId - Organization ObjectId
+ * @param {Date} [since] - Defaults to the start of the billing month
+ * @returns {Promise<number>}
+ */
+const getOrganizationSpend = async (
+  organizationId,
+  since = getBillingPeriodStart(),
+) => {
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        organization: organizationId,
+        paymentMethod: "organization",
+        paymentStatus: { $in: BILLED_PAYMENT_STATUSES },
+        paidAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        total: {
+          $sum: {
+            $subtract: [
+              BASE_ORDER_TOTAL,
+              toBaseAmount({ $ifNull: ["$refundedAmount", 0] }),
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  return result ? Math.round(result.total * 100) / 100 : 0;
+};
+
+/**
+ * Amount an order counts against organization limits (base currency)
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+const getBillableAmount = (order) => order.baseTotalPrice ?? order.totalPrice;
+
+/**
+ * Check an organization will pay for an order and reserve it against the
+ * monthly budget
+ * The reservation is a single conditional $inc, so concurrent checkouts
+ * can't overspend. Release it with releaseOrganizationSpend if the order
+ * isn't billed after all.
+ * Throws a 402 ApiError when billing is off or a limit would be exceeded
+ * @param {Object} organization - Organization document
+ * @param {Object} order - Order document
+ */
+const reserveOrganizationSpend = async (organization, order) => {
+  if (!organization.isActive || !organization.billing.enabled) {
+    throw new ApiError(402, "Your organization does not cover orders");
+  }
+
+  // Limits and budgets are in the base currency
+  const amount = getBillableAmount(order);
+
+  if (!organization.coversAmount(amount)) {
+    throw new ApiError(
+      402,
+      `Your organization covers orders up to ${organization.billing.perOrderLimit.toFixed(2)} ${getBaseCurrency()}`,
+    );
+  }
+
+  // Start a new month's counter from what's already been billed in it
+  const periodStart = getBillingPeriodStart();
+  if (
+    !organization.billing.spendPeriod ||
+    organization.billing.spendPeriod < periodStart
+  ) {
+    const spent = await getOrganizationSpend(organization._id, periodStart);
+    await Organization.updateOne(
+      {
+        _id: organization._id,
+        "billing.spendPeriod": { $not: { $gte: periodStart } },
+      },
+      {
+        $set: {
+          "billing.spendPeriod": periodStart,
+          "billing.periodSpend": spent,
+        },
+      },
+    );
+  }
+
+  // Orders without a budget are counted too, in case one is set later
+  const reserved = await Organization.findOneAndUpdate(
+    {
+      _id: organization._id,
+      "billing.spendPeriod": periodStart,
+      $or: [
+        { "billing.monthlyBudget": null },
+        {
+          $expr: {
+            $lte: [
+              { $add: ["$billing.periodSpend", amount] },
+              "$billing.monthlyBudget",
+            ],
+          },
+        },
+      ],
+    },
+    { $inc: { "billing.periodSpend": amount } },
+    { new: true },
+  );
+
+  if (!reserved) {
+    throw new ApiError(
+      402,
+      "Your organization's monthly budget doesn't cover this order",
+    );
+  }
+};
+
+/**
+ * Give spend back to an organization's monthly budget
+ * Only spend billed in the month being counted is given back.
+ * @param {Object} organizationId - Organization ObjectId
+ * @param {number} amount - Amount in the base currency
+ * @param {Date} [billedAt] - When the amount was billed
+ * @returns {Promise<void>}
+ */
+const releaseOrganizationSpend = async (
+  organizationId,
+  amount,
+  billedAt = new Date(),
+) => {
+  await Organization.updateOne(
+    {
+      _id: organizationId,
+      "billing.spendPeriod": getBillingPeriodStart(billedAt),
+    },
+    { $inc: { "billing.periodSpend": -amount } },
+  );
+};
+
+module.exports = {
+  BILLED_PAYMENT_STATUSES,
+  joinOrganization,
+  leaveOrganization,
+  autoJoinOrganization,
+  getBillingPeriodStart,
+  getOrganizationSpend,
+  getBillableAmount,
+  reserveOrganizationSpend,
+  releaseOrganizationSpend,
+};
@@ -0,0 +1,126 @@
+/**
+ * Fake Payment Provider
+ * Offline provider for development and tests; signs webhooks with HMAC
+ * Never registered in production (see ./index.js)
+ */
+
+const crypto = require("crypto");
+const { ApiError } = require("../errorHandler");
+
+const SIGNATURE_HEADER = "x-fake-signature";
+
+const getWebhookSecret = () => {
+  if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+    throw new Error("PAYMENT_WEBHOOK_SECRET is not set");
+  }
+  return process.env.PAYMENT_WEBHOOK_SECRET;
+};
+
+/**
+ * Sign a webhook body the way the provider would
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC signature
+ */
+const sign = (body) => {
+  return crypto
+    .createHmac("sha256", getWebhookSecret())
+    .update(body)
+    .digest("hex");
+};
+
+/**
+ * Start a checkout session for an order
+ * @param {Object} params - { order }
+ * @returns {Promise<Object>} { sessionId, checkoutUrl }
+ */
+const createCheckout = async ({ order }) => {
+  const sessionId = `fake_cs_${crypto.randomBytes(12).toString("hex")}`;
+  const baseUrl = process.env.API_URL || "";
+
+  return {
+    sessionId,
+    checkoutUrl: `${baseUrl}/api/v1/payments/fake/${sessionId}?amount=${order.totalPrice}&currency=${order.currency}`,
+  };
+};
+
+/**
+ * Verify a webhook request and parse it into a payment event
+ * @param {Object} req - Express request (needs req.rawBody)
+ * @returns {Object} { type, sessionId, transactionId }
+ */
+const verifyWebhook = (req) => {
+  const signature = req.headers[SIGNATURE_HEADER];
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+
+  if (!signature || !body) {
+    throw new ApiError(400, "Missing webhook signature");
+  }
+
+  const expected = Buffer.from(sign(body), "hex");
+  const received = Buffer.from(String(signature), "hex");
+
+  if (
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new ApiError(400, "Invalid webhook signature");
+  }
+
+  const payload = JSON.parse(body);
+
+  return {
+    type: payload.type,
+    sessionId: payload.sessionId,
+    transactionId: payload.transactionId,
+  };
+};
+
+/**
+ * Refund part or all of a paid order
+ * @param {Object} params - { order, amount, idempotencyKey }
+ * @returns {Promise<Object>} { refundId }, the same for a repeated key
+ */
+const refund = async ({ order, amount, idempotencyKey }) => {
+  if (!order.transactionId) {
+    throw new Error("Order has no transaction to refund");
+  }
+  if (amount > order.totalPrice) {
+    throw new Error("Refund exceeds the amount paid");
+  }
+
+  return {
+    refundId: `fake_re_${crypto
+      .createHash("sha256")
+      .update(idempotencyKey)
+      .digest("hex")
+      .slice(0, 16)}`,
+  };
+};
+
+/**
+ * Build a signed webhook payload for a session
+ * Used by the local checkout page and tests
+ * @param {string} sessionId - Checkout session ID
+ * @param {boolean} succeeded - Whether the payment went through
+ * @returns {Object} { body, headers }
+ */
+const buildWebhook = (sessionId, succeeded = true) => {
+  const body = JSON.stringify({
+    type: succeeded ? "payment.succeeded" : "payment.failed",
+    sessionId,
+    transactionId: `fake_txn_${crypto.randomBytes(8).toString("hex")}`,
+  });
+
+  return {
+    body,
+    headers: { [SIGNATURE_HEADER]: sign(body) },
+  };
+};
+
+module.exports = {
+  name: "fake",
+  createCheckout,
+  verifyWebhook,
+  refund,
+  buildWebhook,
+};
@@ -0,0 +1,51 @@
+/**
+ * Payment Providers
+ * Registry for pluggable payment providers
+ *
+ * A provider is an object with:
+ *   name            - Key used in webhook URLs and stored in
+ *                     Order.paymentMethod
+ *   createCheckout  - async ({ order }) => { sessionId, checkoutUrl }
+ *                     Providers that settle immediately also return
+ *                     transactionId (checkoutUrl is then null)
+ *   verifyWebhook   - (req) => { type, sessionId, transactionId }
+ *                     type is "payment.succeeded" or "payment.failed";
+ *                     throws a 400 ApiError on bad signatures
+ *   refund          - async ({ order, amount, idempotencyKey }) =>
+ *                     { refundId }; a repeated idempotencyKey returns the
+ *                     original refund instead of refunding again
+ */
+
+const fakeProvider = require("./fakeProvider");
+const organizationProvider = require("./organizationProvider");
+
+// No prototype, so names from the request never resolve to Object members
+const providers = Object.create(null);
+
+/**
+ * Register a payment provider
+ * @param {Object} provider - Provider implementing the interface above
+ */
+const registerProvider = (provider) => {
+  providers[provider.name] = provider;
+};
+
+/**
+ * Get a provider by name, defaulting to PAYMENT_PROVIDER
+ * @param {string} [name] - Provider name
+ * @returns {Object|undefined} Provider
+ */
+const getProvider = (name) => {
+  return providers[name || process.env.PAYMENT_PROVIDER || "fake"];
+};
+
+// The fake provider settles payments without charging anyone
+if (process.env.NODE_ENV !== "production") {
+  registerProvider(fakeProvider);
+}
+registerProvider(organizationProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+};
@@ -0,0 +1,62 @@
+/**
+ * Organization Billing Provider
+ * Charges an order to the member's organization instead of the student
+ *
+ * Nothing is collected at checkout: the organization is invoiced for its
+ * billed orders, so checkout settles immediately and refunds are credits
+ * against the next invoice.
+ */
+
+const crypto = require("crypto");
+const { ApiError } = require("../errorHandler");
+
+/**
+ * Bill an order to its organization
+ * The caller sets order.organization and checks billing limits first.
+ * @param {Object} params - { order }
+ * @returns {Promise<Object>} { sessionId, checkoutUrl, transactionId }
+ */
+const createCheckout = async ({ order }) => {
+  if (!order.organization) {
+    throw new Error("Order is not billed to an organization");
+  }
+
+  return {
+    sessionId: `org_cs_${crypto.randomBytes(12).toString("hex")}`,
+    checkoutUrl: null,
+    transactionId: `org_txn_${crypto.randomBytes(8).toString("hex")}`,
+  };
+};
+
+/**
+ * Organization billing has no webhooks
+ */
+const verifyWebhook = () => {
+  throw new ApiError(400, "Organization billing does not accept webhooks");
+};
+
+/**
+ * Credit part or all of an order back to the organization
+ * @param {Object} params - { order, amount, idempotencyKey }
+ * @returns {Promise<Object>} { refundId }, the same for a repeated key
+ */
+const refund = async ({ order, amount, idempotencyKey }) => {
+  if (amount > order.totalPrice) {
+    throw new Error("Refund exceeds the amount billed");
+  }
+
+  return {
+    refundId: `org_cr_${crypto
+      .createHash("sha256")
+      .update(idempotencyKey)
+      .digest("hex")
+      .slice(0, 16)}`,
+  };
+};
+
+module.exports = {
+  name: "organization",
+  createCheckout,
+  verifyWebhook,
+  refund,
+};
@@ -0,0 +1,380 @@
+/**
+ * Pricing Engine
+ * Pure rule evaluation for order prices (no database access)
+ *
+ * The base price is the order's quantity (pages, tutoring hours or quiz
+ * questions, depending on the task type) priced at the best matching
+ * base_rate rule, either at a flat rate or through rate tiers.
+ *
+ * Rules are plain objects shaped like PricingRule documents. A rule
+ * matches an order when its category value (appliesTo) and every one of
+ * its conditions match. Field categories (education level, task type, ...)
+ * and page_count apply at most one rule each, the highest priority one;
+ * every matching conditional rule applies. Applicable rules then run in
+ * priority order (highest first), each adjusting the running subtotal:
+ * a multiplier scales it, a fee adds to it, a cap limits it and a minimum
+ * raises it to a minimum charge.
+ */
+
+const PRICING_CATEGORIES = [
+  "education_level",
+  "task_type",
+  "urgency",
+  "complexity",
+  "page_count",
+  "citation_style",
+  "conditional",
+  "base_rate",
+];
+
+const ADJUSTMENTS = ["multiplier", "fee", "cap", "minimum"];
+
+// Units orders are priced in and the order field holding the quantity
+const UNIT_FIELDS = {
+  page: "pageCount",
+  hour: "hours",
+  question: "questionCount",
+};
+const UNITS = Object.keys(UNIT_FIELDS);
+
+// Task types not priced per page
+const TASK_TYPE_UNITS = {
+  tutoring: "hour",
+  quiz: "question",
+};
+
+// Rates used when no base_rate rule matches
+const DEFAULT_UNIT_RATES = {
+  page: 15,
+  hour: 30,
+  question: 2,
+};
+
+// Order fields rule conditions can test
+const CONDITION_FIELDS = [
+  "educationLevel",
+  "taskType",
+  "urgency",
+  "complexityLevel",
+  "citationStyle",
+  "pageCount",
+  "hours",
+  "questionCount",
+  "unit",
+  "quantity",
+];
+
+const CONDITION_OPERATORS = ["eq", "ne", "in", "nin", "gt", "gte", "lt", "lte"];
+
+// Order field each field category matches appliesTo against
+const CATEGORY_FIELDS = {
+  education_level: { field: "educationLevel" },
+  task_type: { field: "taskType" },
+  urgency: { field: "urgency", fallback: "standard" },
+  complexity: { field: "complexityLevel", fallback: "standard" },
+  citation_style: { field: "citationStyle", skip: "none" },
+  base_rate: { field: "unit" },
+};
+
+// Categories where only the best matching rule applies
+const EXCLUSIVE_CATEGORIES = [...Object.keys(CATEGORY_FIELDS), "page_count"];
+
+// Legacy rule holding the per-page rate (base_rate rules take precedence)
+const BASE_RATE_RULE = "base_price_per_page";
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Unit a task type is priced in
+ * @param {string} taskType - Order task type
+ * @returns {string} page, hour or question
+ */
+const getUnit = (taskType) => TASK_TYPE_UNITS[taskType] || "page";
+
+/**
+ * Normalize the order fields rules are evaluated against
+ * @param {Object} orderData - Order or pricing fields
+ * @returns {Object}
+ */
+const getRuleFields = (orderData) => {
+  const fields = {
+    educationLevel: orderData.educationLevel,
+    taskType: orderData.taskType,
+    urgency: orderData.urgency || "standard",
+    complexityLevel: orderData.complexityLevel || "standard",
+    citationStyle: orderData.citationStyle || "none",
+    pageCount: parseInt(orderData.pageCount) || 1,
+    hours: parseFloat(orderData.hours) || 1,
+    questionCount: parseInt(orderData.questionCount) || 1,
+    unit: getUnit(orderData.taskType),
+  };
+  fields.quantity = fields[UNIT_FIELDS[fields.unit]];
+  return fields;
+};
+
+/**
+ * Check whether a rule version is in effect at a point in time
+ * @param {Object} rule - Pricing rule
+ * @param {Date} at - Time to check
+ * @returns {boolean}
+ */
+const isRuleEffective = (rule, at) =>
+  rule.isActive !== false &&
+  (!rule.validFrom || new Date(rule.validFrom) <= at) &&
+  (!rule.validUntil || new Date(rule.validUntil) > at);
+
+/**
+ * Evaluate one condition against order fields
+ * @param {Object} condition - { field, operator, value }
+ * @param {Object} fields - From getRuleFields
+ * @returns {boolean}
+ */
+const evaluateCondition = ({ field, operator, value }, fields) => {
+  const actual = fields[field];
+  const values = Array.isArray(value) ? value : [value];
+
+  switch (operator) {
+    case "eq":
+      return actual === value;
+    case "ne":
+      return actual !== value;
+    case "in":
+      return values.includes(actual);
+    case "nin":
+      return !values.includes(actual);
+    case "gt":
+      return actual > value;
+    case "gte":
+      return actual >= value;
+    case "lt":
+      return actual < value;
+    case "lte":
+      return actual <= value;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check whether a rule applies to an order
+ * @param {Object} rule - Pricing rule
+ * @param {Object} fields - From getRuleFields
+ * @returns {boolean}
+ */
+const ruleMatches = (rule, fields) => {
+  const categoryField = CATEGORY_FIELDS[rule.category];
+  if (categoryField) {
+    const value = fields[categoryField.field] || categoryField.fallback;
+    if (!value || value === categoryField.skip) return false;
+    if (rule.appliesTo !== value) return false;
+  }
+
+  return (rule.conditions || []).every((condition) =>
+    evaluateCondition(condition, fields),
+  );
+};
+
+const time = (date) => (date ? new Date(date).getTime() : 0);
+
+// Highest priority first; then the most recently started window (so a
+// promotion beats the standing rule it overrides), then the newest version
+const compareRules = (a, b) =>
+  (b.priority || 0) - (a.priority || 0) ||
+  time(b.validFrom) - time(a.validFrom) ||
+  (b.version || 1) - (a.version || 1);
+
+/**
+ * Pick the rules that apply to an order, in evaluation order
+ * @param {Object[]} rules - Pricing rules in effect
+ * @param {Object} fields - From getRuleFields
+ * @returns {Object[]} Applicable rules, highest priority first
+ */
+const selectRules = (rules, fields) => {
+  const matching = rules
+    .filter(
+      (rule) => rule.name !== BASE_RATE_RULE && rule.category !== "base_rate",
+    )
+    .filter((rule) => ruleMatches(rule, fields))
+    .sort(compareRules);
+
+  const taken = new Set();
+  return matching.filter((rule) => {
+    if (!EXCLUSIVE_CATEGORIES.includes(rule.category)) return true;
+    if (taken.has(rule.category)) return false;
+    taken.add(rule.category);
+    return true;
+  });
+};
+
+/**
+ * Apply one rule to a running subtotal
+ * @param {Object} rule - Pricing rule
+ * @param {number} subtotal - Price so far
+ * @returns {number} New subtotal
+ */
+const applyAdjustment = (rule, subtotal) => {
+  switch (rule.adjustment || "multiplier") {
+    case "fee":
+      return Math.max(subtotal + rule.amount, 0);
+    case "cap":
+      return Math.min(subtotal, rule.amount);
+    case "minimum":
+      return Math.max(subtotal, rule.amount);
+    default:
+      return subtotal * rule.multiplier;
+  }
+};
+
+/**
+ * Pick the rate an order's quantity is priced at
+ * @param {Object[]} rules - Pricing rules in effect
+ * @param {Object} fields - From getRuleFields
+ * @returns {Object} { rule, rate, tiers }
+ */
+const selectBaseRate = (rules, fields) => {
+  const [rateRule] = rules
+    .filter((rule) => rule.category === "base_rate")
+    .filter((rule) => ruleMatches(rule, fields))
+    .sort(compareRules);
+
+  if (rateRule) {
+    return {
+      rule: rateRule,
+      rate: rateRule.tiers?.length
+        ? rateRule.tiers[0].rate
+        : rateRule.basePrice,
+      tiers: rateRule.tiers || [],
+    };
+  }
+
+  if (fields.unit === "page") {
+    const [legacyRule] = rules
+      .filter((rule) => rule.name === BASE_RATE_RULE)
+      .sort(compareRules);
+    if (legacyRule && legacyRule.basePrice) {
+      return { rule: legacyRule, rate: legacyRule.basePrice, tiers: [] };
+    }
+  }
+
+  return { rule: null, rate: DEFAULT_UNIT_RATES[fields.unit], tiers: [] };
+};
+
+/**
+ * Price a quantity through rate tiers
+ * Each tier covers units up to its upTo (null for the rest); units past
+ * the last bounded tier are charged at its rate.
+ * @param {Object[]} tiers - [{ upTo, rate }]
+ * @param {number} quantity - Units ordered
+ * @returns {Object[]} [{ from, to, units, rate, subtotal }]
+ */
+const priceTiers = (tiers, quantity) => {
+  const sorted = [...tiers].sort(
+    (a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity),
+  );
+  const lines = [];
+  let from = 0;
+
+  sorted.forEach(({ upTo, rate }, index) => {
+    const isLast = index === sorted.length - 1;
+    const to = isLast || upTo == null ? quantity : Math.min(upTo, quantity);
+    if (to <= from) return;
+
+    lines.push({
+      from,
+      to,
+      units: to - from,
+      rate,
+      subtotal: roundPrice((to - from) * rate),
+    });
+    from = to;
+  });
+
+  return lines;
+};
+
+/**
+ * Price an order against a set of rules with an itemized breakdown
+ * @param {Object[]} rules - Candidate pricing rules (any not in effect at
+ *   `at` are ignored)
+ * @param {Object} orderData - Order fields used for pricing
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Defaults to now
+ * @returns {Object} { unit, quantity, ratePerUnit, rateTiers, basePrice, items, totalPrice, pricedAt, ... }
+ */
+const calculateBreakdown = (rules, orderData, { at = new Date() } = {}) => {
+  const effective = rules.filter((rule) => isRuleEffective(rule, at));
+  const fields = getRuleFields(orderData);
+
+  const { unit, quantity, pageCount } = fields;
+  const baseRate = selectBaseRate(effective, fields);
+  const rateTiers = baseRate.tiers.length
+    ? priceTiers(baseRate.tiers, quantity)
+    : [];
+
+  let subtotal = rateTiers.length
+    ? rateTiers.reduce((total, tier) => total + tier.units * tier.rate, 0)
+    : baseRate.rate * quantity;
+  const basePrice = roundPrice(subtotal);
+
+  const items = [];
+
+  for (const rule of selectRules(effective, fields)) {
+    const adjustment = rule.adjustment || "multiplier";
+    const before = subtotal;
+    subtotal = applyAdjustment(rule, subtotal);
+
+    // A cap or minimum that didn't bite changes nothing worth listing
+    if (["cap", "minimum"].includes(adjustment) && subtotal === before) {
+      continue;
+    }
+
+    items.push({
+      rule: rule._id,
+      name: rule.name,
+      version: rule.version,
+      displayName: rule.displayName,
+      category: rule.category,
+      appliesTo: rule.appliesTo,
+      adjustment,
+      ...(adjustment === "multiplier"
+        ? { multiplier: rule.multiplier }
+        : { amount: roundPrice(subtotal - before) }),
+      subtotal: roundPrice(subtotal),
+    });
+  }
+
+  return {
+    unit,
+    quantity,
+    ratePerUnit: baseRate.rate,
+    ...(baseRate.rule && {
+      rateRule: baseRate.rule._id,
+      rateRuleVersion: baseRate.rule.version,
+    }),
+    rateTiers,
+    basePricePerPage: unit === "page" ? baseRate.rate : undefined,
+    pageCount,
+    basePrice,
+    items,
+    totalPrice: roundPrice(subtotal),
+    pricedAt: at,
+  };
+};
+
+module.exports = {
+  PRICING_CATEGORIES,
+  ADJUSTMENTS,
+  UNITS,
+  UNIT_FIELDS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  getUnit,
+  getRuleFields,
+  isRuleEffective,
+  evaluateCondition,
+  ruleMatches,
+  selectRules,
+  selectBaseRate,
+  priceTiers,
+  calculateBreakdown,
+};
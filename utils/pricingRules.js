@@ -0,0 +1,158 @@
+/**
+ * Pricing Rule Versions
+ * Edits and retires pricing rules without rewriting their history
+ *
+ * A rule version that has been in effect is never changed again: editing
+ * creates the next version, which takes over from the moment it becomes
+ * effective, and the old version's window is closed at that point.
+ */
+
+const PricingRule = require("../models/PricingRule");
+const { ApiError } = require("./errorHandler");
+
+// Fields admins may set on a rule
+const EDITABLE_FIELDS = [
+  "name",
+  "description",
+  "category",
+  "adjustment",
+  "multiplier",
+  "amount",
+  "basePrice",
+  "tiers",
+  "appliesTo",
+  "conditions",
+  "displayName",
+  "displayOrder",
+  "isActive",
+  "priority",
+  "validFrom",
+  "validUntil",
+];
+
+/**
+ * Keep only the fields admins may set
+ * @param {Object} body - Request body
+ * @returns {Object}
+ */
+const pickEditableFields = (body) =>
+  Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]],
+    ),
+  );
+
+const assertCurrent = (rule) => {
+  if (rule.supersededBy) {
+    throw new ApiError(
+      409,
+      `Version ${rule.version} of this rule has been superseded. Edit the current version instead.`,
+    );
+  }
+};
+
+/**
+ * Create the next version of a rule
+ * The new version starts now, or at its validFrom if that is later; it
+ * can never start in the past.
+ * @param {Object} rule - Current rule version
+ * @param {Object} changes - Editable fields to change
+ * @param {Object} context - { actor }
+ * @returns {Promise<Object>} New rule version
+ */
+const reviseRule = async (rule, changes, { actor }) => {
+  assertCurrent(rule);
+
+  const now = new Date();
+  const requestedStart =
+    changes.validFrom !== undefined ? changes.validFrom : rule.validFrom;
+  const startsAt =
+    requestedStart && new Date(requestedStart) > now
+      ? new Date(requestedStart)
+      : now;
+
+  const {
+    _id,
+    id,
+    createdAt,
+    updatedAt,
+    supersededBy,
+    supersededAt,
+    ...current
+  } = rule.toObject();
+
+  const next = new PricingRule({
+    ...current,
+    ...pickEditableFields(changes),
+    validFrom: startsAt,
+    lineage: rule.lineage,
+    version: rule.version + 1,
+    updatedBy: actor ? actor._id : null,
+  });
+  await next.validate();
+
+  // Close the old window where the new version takes over. A version that
+  // never took effect is left with an empty window.
+  let validUntil =
+    rule.validUntil && rule.validUntil < startsAt ? rule.validUntil : startsAt;
+  if (rule.validFrom && validUntil < rule.validFrom)
+    validUntil = rule.validFrom;
+
+  // Claim the old version first so concurrent edits can't both succeed
+  const claimed = await PricingRule.findOneAndUpdate(
+    { _id: rule._id, supersededBy: { $exists: false } },
+    { $set: { supersededBy: next._id, supersededAt: now, validUntil } },
+  );
+
+  if (!claimed) {
+    throw new ApiError(
+      409,
+      "This rule was changed by someone else. Reload it and try again.",
+    );
+  }
+
+  try {
+    await next.save();
+  } catch (error) {
+    await PricingRule.updateOne(
+      { _id: rule._id },
+      {
+        $unset: { supersededBy: 1, supersededAt: 1 },
+        $set: { validUntil: rule.validUntil },
+      },
+    );
+    throw error;
+  }
+
+  return next;
+};
+
+/**
+ * Stop applying a rule from now on
+ * Rules that never took effect are deleted outright.
+ * @param {Object} rule - Current rule version
+ * @returns {Promise<Object>} { rule, deleted }
+ */
+const retireRule = async (rule) => {
+  assertCurrent(rule);
+
+  const now = new Date();
+
+  if (rule.version === 1 && rule.validFrom && rule.validFrom > now) {
+    await rule.deleteOne();
+    return { rule, deleted: true };
+  }
+
+  if (!rule.validUntil || rule.validUntil > now) {
+    rule.validUntil = now;
+    await rule.save({ validateBeforeSave: false });
+  }
+
+  return { rule, deleted: false };
+};
+
+module.exports = {
+  pickEditableFields,
+  reviseRule,
+  retireRule,
+};
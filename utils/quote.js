@@ -0,0 +1,160 @@
+/**
+ * Price Quotes
+ * Issues signed, expiring price quotes that createOrder can lock in
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const PricingRule = require("../models/PricingRule");
+const { ApiError } = require("./errorHandler");
+const { getTokenSecret } = require("./tokenSecrets");
+const { normalizeCouponCode, applyCoupon } = require("./coupons");
+const {
+  getBaseCurrency,
+  getCurrency,
+  convertBreakdown,
+} = require("./currencies");
+
+const QUOTE_AUDIENCE = "price-quote";
+
+const getQuoteSecret = () => getTokenSecret(QUOTE_AUDIENCE, "QUOTE_SECRET");
+
+/**
+ * Derive urgency from the time left until the deadline
+ * @param {string|Date} deadline - Order deadline
+ * @param {Date} [now] - Time the order is priced at
+ * @returns {string|undefined} standard, rush or urgent
+ */
+const getUrgencyFromDeadline = (deadline, now = new Date()) => {
+  if (!deadline) return undefined;
+
+  const hoursUntilDeadline = (new Date(deadline) - now) / (1000 * 60 * 60);
+
+  if (hoursUntilDeadline <= 24) return "urgent";
+  if (hoursUntilDeadline <= 72) return "rush";
+  return "standard";
+};
+
+/**
+ * Normalize the order fields that affect pricing
+ * Urgency is derived from the deadline when one is given
+ * @param {Object} orderData - Raw order fields
+ * @param {Date} [now] - Time the order is priced at
+ * @returns {Object} Pricing fields
+ */
+const getPricingFields = (orderData, now = new Date()) => ({
+  educationLevel: orderData.educationLevel,
+  taskType: orderData.taskType,
+  pageCount: parseInt(orderData.pageCount) || 1,
+  hours: parseFloat(orderData.hours) || null,
+  questionCount: parseInt(orderData.questionCount) || null,
+  complexityLevel: orderData.complexityLevel || "standard",
+  citationStyle: orderData.citationStyle || "none",
+  deadline: orderData.deadline
+    ? new Date(orderData.deadline).toISOString()
+    : null,
+  urgency:
+    getUrgencyFromDeadline(orderData.deadline, now) ||
+    orderData.urgency ||
+    "standard",
+  couponCode: normalizeCouponCode(orderData.couponCode),
+  currency: (orderData.currency || getBaseCurrency()).toUpperCase(),
+});
+
+/**
+ * Price pricing fields with the rules in effect at a time, apply any
+ * coupon, then convert to the requested currency
+ * @param {Object} fields - From getPricingFields
+ * @param {Object} [options]
+ * @param {Date} [options.at] - Defaults to now
+ * @returns {Promise<Object>} Price breakdown
+ */
+const priceOrder = async (fields, { at = new Date() } = {}) => {
+  const currency = await getCurrency(fields.currency);
+  const breakdown = await PricingRule.calculatePriceBreakdown(fields, { at });
+  const discounted = await applyCoupon(breakdown, fields, { at });
+  return convertBreakdown(discounted, currency);
+};
+
+/**
+ * Price an order with the rules in effect now and sign the result
+ * @param {Object} orderData - Order fields used for pricing
+ * @returns {Promise<Object>} { quoteId, quoteToken, expiresAt, fields, breakdown }
+ */
+const issueQuote = async (orderData) => {
+  const now = new Date();
+  const fields = getPricingFields(orderData, now);
+  const breakdown = await priceOrder(fields, { at: now });
+  const quoteId = crypto.randomUUID();
+
+  const quoteToken = jwt.sign({ fields, breakdown }, getQuoteSecret(), {
+    audience: QUOTE_AUDIENCE,
+    jwtid: quoteId,
+    expiresIn: process.env.QUOTE_EXPIRE || "30m",
+  });
+
+  const { exp } = jwt.decode(quoteToken);
+
+  return {
+    quoteId,
+    quoteToken,
+    expiresAt: new Date(exp * 1000),
+    fields,
+    breakdown,
+  };
+};
+
+/**
+ * Verify a quote token against the order being placed
+ * Throws a 400 ApiError for expired, tampered or mismatched quotes
+ * @param {string} quoteToken - Token from issueQuote
+ * @param {Object} orderData - Order fields submitted with the quote
+ * @returns {Object} { quoteId, fields, breakdown }
+ */
+const verifyQuote = (quoteToken, orderData) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(quoteToken, getQuoteSecret(), {
+      audience: QUOTE_AUDIENCE,
+    });
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      throw new ApiError(
+        400,
+        "Price quote has expired. Please request a new quote.",
+      );
+    }
+    throw new ApiError(400, "Invalid price quote");
+  }
+
+  // The quote only covers the exact order it was issued for
+  const submitted = getPricingFields(orderData);
+  const mismatched = Object.keys(decoded.fields).filter(
+    (key) => key !== "urgency" && decoded.fields[key] !== submitted[key],
+  );
+
+  if (mismatched.length > 0) {
+    throw new ApiError(
+      400,
+      "Order details do not match the price quote",
+      mismatched.map((field) => ({
+        field,
+        message: "Does not match the quoted value",
+      })),
+    );
+  }
+
+  return {
+    quoteId: decoded.jti,
+    fields: decoded.fields,
+    breakdown: decoded.breakdown,
+  };
+};
+
+module.exports = {
+  getUrgencyFromDeadline,
+  getPricingFields,
+  priceOrder,
+  issueQuote,
+  verifyQuote,
+};
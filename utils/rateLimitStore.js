@@ -0,0 +1,138 @@
+/**
+ * Rate Limit Store
+ * Pluggable counter store for brute-force protection
+ *
+ * A store implements (all async):
+ *   increment(key, windowMs) - Add 1 and return the new count; the window
+ *                              starts on the first increment
+ *   decrement(key)           - Take 1 back from a count (no-op if missing)
+ *   get(key)                 - Stored value or null
+ *   set(key, value, ttlMs)   - Store a value that expires after ttlMs
+ *   add(key, value, ttlMs)   - Like set, but only if the key doesn't exist;
+ *                              returns whether it was stored
+ *   ttl(key)                 - Milliseconds until key expires (0 if missing)
+ *   del(key)                 - Remove a key
+ *
+ * The in-memory store is the default. Use createRedisStore with an
+ * ioredis-style client to share counters between instances.
+ */
+
+/**
+ * In-memory store (single process only)
+ */
+const createMemoryStore = () => {
+  const entries = new Map();
+
+  const read = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // Periodically drop expired keys so memory doesn't grow unbounded
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const entry = read(key);
+      if (!entry) {
+        entries.set(key, { value: 1, expiresAt: Date.now() + windowMs });
+        return 1;
+      }
+      entry.value += 1;
+      return entry.value;
+    },
+    async decrement(key) {
+      const entry = read(key);
+      if (!entry) return;
+      entry.value -= 1;
+      if (entry.value <= 0) entries.delete(key);
+    },
+    async get(key) {
+      const entry = read(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    async add(key, value, ttlMs) {
+      if (read(key)) return false;
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      return true;
+    },
+    async ttl(key) {
+      const entry = read(key);
+      return entry ? entry.expiresAt - Date.now() : 0;
+    },
+    async del(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Redis-backed store
+ * @param {Object} client - ioredis-style client (incr, decr, pexpire, get,
+ *   set, pttl, del)
+ * @param {string} [prefix] - Key prefix
+ */
+const createRedisStore = (client, prefix = "ratelimit:") => ({
+  async increment(key, windowMs) {
+    const count = await client.incr(prefix + key);
+    if (count === 1) await client.pexpire(prefix + key, windowMs);
+    return count;
+  },
+  async decrement(key) {
+    const count = await client.decr(prefix + key);
+    // Don't leave a negative count behind if the key had expired
+    if (count <= 0) await client.del(prefix + key);
+  },
+  async get(key) {
+    return client.get(prefix + key);
+  },
+  async set(key, value, ttlMs) {
+    await client.set(prefix + key, value, "PX", ttlMs);
+  },
+  async add(key, value, ttlMs) {
+    return (await client.set(prefix + key, value, "PX", ttlMs, "NX")) === "OK";
+  },
+  async ttl(key) {
+    return Math.max(0, await client.pttl(prefix + key));
+  },
+  async del(key) {
+    await client.del(prefix + key);
+  },
+});
+
+let store = createMemoryStore();
+
+/**
+ * Get the active store
+ * @returns {Object}
+ */
+const getStore = () => store;
+
+/**
+ * Replace the active store (e.g. with a Redis store at startup)
+ * @param {Object} customStore - Store implementing the interface above
+ */
+const setStore = (customStore) => {
+  store = customStore;
+};
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  getStore,
+  setStore,
+};
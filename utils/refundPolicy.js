@@ -0,0 +1,56 @@
+/**
+ * Refund Policy
+ * Works out how much of a paid order is refunded on cancellation
+ */
+
+// Cancelling this close to the deadline halves the refund
+const LATE_CANCELLATION_HOURS = 24;
+
+/**
+ * Refunds above this amount need admin approval
+ * @returns {number}
+ */
+const getApprovalThreshold = () => {
+  return parseFloat(process.env.REFUND_APPROVAL_THRESHOLD) || 100;
+};
+
+/**
+ * Compute the refund due for a cancelled order
+ * @param {Object} order - Order being cancelled (status before cancelling)
+ * @param {Date} [now] - Time of cancellation
+ * @returns {Object} { percentage, amount, type, explanation }
+ */
+const computeRefund = (order, now = new Date()) => {
+  let percentage;
+  const reasons = [];
+
+  if (order.status === "pending") {
+    percentage = 100;
+    reasons.push("work had not started");
+  } else {
+    percentage = Math.max(0, 100 - (order.progress || 0));
+    reasons.push(`${order.progress || 0}% of the work was complete`);
+
+    const hoursUntilDeadline = (new Date(order.deadline) - now) / 36e5;
+    if (hoursUntilDeadline < LATE_CANCELLATION_HOURS) {
+      percentage = Math.floor(percentage / 2);
+      reasons.push(
+        `cancelled less than ${LATE_CANCELLATION_HOURS} hours before the deadline`,
+      );
+    }
+  }
+
+  const amount = Math.round(order.totalPrice * percentage) / 100;
+
+  return {
+    percentage,
+    amount,
+    type: percentage === 100 ? "full" : "partial",
+    explanation: `${percentage}% refund: ${reasons.join(", ")}`,
+  };
+};
+
+module.exports = {
+  getApprovalThreshold,
+  computeRefund,
+};
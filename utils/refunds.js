@@ -0,0 +1,215 @@
+/**
+ * Refund Workflow
+ * Cancels orders and returns money according to the refund policy
+ */
+
+const Refund = require("../models/Refund");
+const { getProvider } = require("./payments");
+const { computeRefund, getApprovalThreshold } = require("./refundPolicy");
+const { releaseCoupon } = require("./coupons");
+const { releaseOrganizationSpend } = require("./organizations");
+const { ApiError } = require("./errorHandler");
+
+// Refunds the provider has paid out
+const REFUNDED_STATUSES = ["processed", "processed_order_pending"];
+
+const formatAmount = (amount, currency) => `${amount.toFixed(2)} ${currency}`;
+
+/**
+ * Check that a paid order went through a payment provider we can refund
+ * @param {Object} order - Order document
+ * @returns {boolean}
+ */
+const hasProviderPayment = (order) =>
+  Boolean(order.transactionId && getProvider(order.paymentMethod));
+
+/**
+ * Save an order only if its status and payment status haven't changed
+ * since it was loaded. Two requests cancelling the same order can't both
+ * go ahead, and a payment landing meanwhile isn't overwritten.
+ * @param {Object} order - Order document with a status change applied
+ * @param {Object} loaded - { status, paymentStatus } as loaded
+ * @returns {Promise<void>}
+ */
+const saveClaimed = async (order, loaded) => {
+  order.$where = loaded;
+
+  try {
+    await order.save();
+  } catch (error) {
+    if (error.name === "DocumentNotFoundError") {
+      throw new ApiError(
+        409,
+        "This order was just updated by someone else. Please reload and try again.",
+      );
+    }
+    throw error;
+  } finally {
+    order.$where = undefined;
+  }
+};
+
+/**
+ * Send an approved refund to the payment provider and refund the order
+ *
+ * The provider's refund is saved before the order is touched, so a retry
+ * after a failed order update (status processed_order_pending) only
+ * finishes the order and never refunds twice. The refund ID is also sent
+ * as the provider's idempotency key.
+ * @param {Object} refund - Refund document
+ * @param {Object} order - Order document
+ * @param {Object} actor - User who triggered the refund
+ * @returns {Promise<Object>} Updated refund
+ */
+const executeRefund = async (refund, order, actor) => {
+  if (refund.status !== "processed_order_pending") {
+    const provider = getProvider(order.paymentMethod);
+    let result;
+
+    try {
+      if (!provider) {
+        throw new Error(`No payment provider for '${order.paymentMethod}'`);
+      }
+      if (!order.transactionId) {
+        throw new Error("Order has no payment transaction to refund");
+      }
+
+      result = await provider.refund({
+        order,
+        amount: refund.amount,
+        idempotencyKey: refund._id.toString(),
+      });
+    } catch (error) {
+      console.error("Refund execution error:", error);
+      refund.status = "failed";
+      refund.failureReason = error.message;
+      await refund.save();
+      return refund;
+    }
+
+    refund.status = "processed_order_pending";
+    refund.providerRefundId = result.refundId;
+    refund.processedAt = new Date();
+    refund.failureReason = null;
+    await refund.save();
+  }
+
+  try {
+    order.paymentStatus =
+      refund.type === "full" ? "refunded" : "partially_refunded";
+    order.refundedAmount = (order.refundedAmount || 0) + refund.amount;
+    order.transitionTo("refunded", {
+      actor,
+      reason: refund.reason,
+      note: `${refund.type === "full" ? "Full" : "Partial"} refund of ${formatAmount(refund.amount, refund.currency)} processed (${refund.explanation})`,
+    });
+
+    await order.save();
+  } catch (error) {
+    console.error("Refund order update error:", error);
+    refund.failureReason = `Refunded with the provider, but the order could not be updated: ${error.message}`;
+    await refund.save();
+    return refund;
+  }
+
+  // Refunds to an organization free up its monthly budget
+  if (order.paymentMethod === "organization" && order.organization) {
+    try {
+      await releaseOrganizationSpend(
+        order.organization,
+        refund.amount / (order.exchangeRate || 1),
+        order.paidAt,
+      );
+    } catch (error) {
+      console.error("Organization budget release error:", error);
+    }
+  }
+
+  refund.status = "processed";
+  refund.failureReason = null;
+  await refund.save();
+  return refund;
+};
+
+/**
+ * Cancel an order and refund it if it was paid
+ * Throws a 409 ApiError if the order can no longer be cancelled, was
+ * cancelled concurrently, or its payment can't be traced to a provider
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor, reason, note }
+ * @returns {Promise<Object>} { order, refund }
+ */
+const cancelWithRefund = async (order, { actor, reason, note }) => {
+  const loaded = { status: order.status, paymentStatus: order.paymentStatus };
+
+  if (order.paymentStatus !== "paid") {
+    order.transitionTo("cancelled", { actor, reason, note });
+    // Checkout pages still open can no longer pay for it
+    order.paymentStatus = "cancelled";
+    await saveClaimed(order, loaded);
+    // Nothing was paid, so the coupon can be used again
+    await releaseCoupon(order);
+    return { order, refund: null };
+  }
+
+  if (!hasProviderPayment(order)) {
+    throw new ApiError(
+      409,
+      "The payment for this order can't be matched to a provider transaction. Please contact support.",
+    );
+  }
+
+  // Policy depends on status and progress before cancelling
+  const policy = computeRefund(order);
+
+  if (policy.amount === 0) {
+    order.transitionTo("cancelled", {
+      actor,
+      reason,
+      note: `${note}. No refund due (${policy.explanation})`,
+    });
+    await saveClaimed(order, loaded);
+    return { order, refund: null };
+  }
+
+  // The approval threshold is in the base currency
+  const requiresApproval =
+    policy.amount / (order.exchangeRate || 1) > getApprovalThreshold();
+
+  order.transitionTo("cancelled", {
+    actor,
+    reason,
+    note: requiresApproval
+      ? `${note}. Refund of ${formatAmount(policy.amount, order.currency)} awaiting admin approval`
+      : note,
+  });
+  await saveClaimed(order, loaded);
+
+  const refund = await Refund.create({
+    order: order._id,
+    student: order.student,
+    amount: policy.amount,
+    percentage: policy.percentage,
+    currency: order.currency,
+    exchangeRate: order.exchangeRate,
+    type: policy.type,
+    explanation: policy.explanation,
+    reason,
+    status: requiresApproval ? "pending_approval" : "approved",
+    requiresApproval,
+    requestedBy: actor ? actor._id : null,
+    paymentMethod: order.paymentMethod,
+  });
+
+  if (!requiresApproval) {
+    await executeRefund(refund, order, actor);
+  }
+
+  return { order, refund };
+};
+
+module.exports = {
+  REFUNDED_STATUSES,
+  executeRefund,
+  cancelWithRefund,
+};
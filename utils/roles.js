@@ -0,0 +1,44 @@
+/**
+ * Role Management
+ * Changes user roles and records each change in the audit log
+ */
+
+const AuditLog = require("../models/AuditLog");
+
+const ROLES = ["student", "tutor", "admin"];
+
+/**
+ * Change a user's role and audit it
+ * Roles are read from the database on every request, so the change
+ * applies immediately without revoking sessions.
+ * @param {Object} user - User document
+ * @param {string} role - New role
+ * @param {Object} context - { actor, reason, source, ipAddress }
+ * @returns {Promise<Object>} Saved user
+ */
+const changeRole = async (user, role, { actor, reason, source, ipAddress }) => {
+  const previousRole = user.role;
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record({
+    action: "user.role_change",
+    actor: actor ? actor._id : null,
+    targetUser: user._id,
+    ipAddress,
+    metadata: {
+      from: previousRole,
+      to: role,
+      reason: reason || "",
+      source,
+    },
+  });
+
+  return user;
+};
+
+module.exports = {
+  ROLES,
+  changeRole,
+};
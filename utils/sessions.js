@@ -0,0 +1,173 @@
+/**
+ * Session Management
+ * Issues access tokens with rotating, server-side refresh tokens
+ */
+
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const { generateToken } = require("../middleware/auth");
+const { ApiError } = require("./errorHandler");
+
+const getRefreshTokenTtlMs = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const newRefreshToken = () => crypto.randomBytes(48).toString("hex");
+
+const BROWSERS = [
+  ["Edge", /Edg\//],
+  ["Opera", /OPR\//],
+  ["Chrome", /Chrome\//],
+  ["Firefox", /Firefox\//],
+  ["Safari", /Safari\//],
+];
+
+const PLATFORMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * Describe a device from its user agent, e.g. "Chrome on Windows"
+ * @param {string} userAgent - User-Agent header
+ * @returns {string}
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !platform) return "Unknown device";
+  if (!platform) return browser[0];
+  if (!browser) return platform[0];
+  return `${browser[0]} on ${platform[0]}`;
+};
+
+/**
+ * Start a new session for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request the sign-in came from
+ * @param {string} [method] - Sign-in method ("password" or a provider name)
+ * @returns {Promise<Object>} { session, token, refreshToken }
+ */
+const createSession = async (user, req, method = "password") => {
+  const refreshToken = newRefreshToken();
+  const userAgent = req.get("user-agent") || null;
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    ipAddress: req.ip,
+    userAgent,
+    method,
+    lastSeenIp: req.ip,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return {
+    session,
+    token: generateToken(user, session._id),
+    refreshToken,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Presenting an already-rotated token revokes the whole session
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} { session, user, token, refreshToken }
+ */
+const rotateSession = async (refreshToken, req) => {
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+
+  // Atomic swap so two concurrent refreshes can't both succeed
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastSeenAt: new Date(),
+        lastSeenIp: req.ip,
+      },
+      $push: { previousTokenHashes: presentedHash },
+    },
+    { new: true },
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({
+      previousTokenHashes: presentedHash,
+    });
+
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = new Date();
+      reused.revokedReason = "reuse_detected";
+      await reused.save();
+      console.warn(`Refresh token reuse detected for session ${reused._id}`);
+    }
+
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  const user = await User.findById(session.user);
+
+  if (!user || !user.isActive) {
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  return {
+    session,
+    user,
+    token: generateToken(user, session._id),
+    refreshToken: nextToken,
+  };
+};
+
+/**
+ * Revoke a single session belonging to a user
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owner's user ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeSession = async (sessionId, userId, reason = "logout") => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ */
+const revokeAllSessions = async (userId, reason = "logout_all") => {
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  );
+};
+
+module.exports = {
+  describeDevice,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+};
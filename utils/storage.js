@@ -0,0 +1,94 @@
+/**
+ * File Storage
+ * Local-disk storage adapter for order files
+ *
+ * Stored paths are relative to UPLOAD_DIR so files can be moved to
+ * another adapter later without rewriting order documents.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const multer = require("multer");
+
+const UPLOAD_DIR = path.resolve(
+  process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"),
+);
+
+/**
+ * Resolve a stored path, refusing anything outside UPLOAD_DIR
+ * @param {string} storedPath - Path relative to UPLOAD_DIR
+ * @returns {string} Absolute path
+ */
+const resolveStoredPath = (storedPath) => {
+  const absolute = path.resolve(UPLOAD_DIR, storedPath);
+  if (!absolute.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error("Invalid file path");
+  }
+  return absolute;
+};
+
+const localDiskStorage = {
+  /**
+   * Multer storage engine writing into a folder under UPLOAD_DIR
+   * @param {string} folder - Sub-folder (e.g. "attachments")
+   */
+  engine(folder) {
+    return multer.diskStorage({
+      destination: (req, file, cb) => {
+        const dir = path.join(UPLOAD_DIR, folder, req.params.id);
+        fs.mkdir(dir, { recursive: true }, (err) => cb(err, dir));
+      },
+      filename: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase();
+        cb(null, `${crypto.randomBytes(16).toString("hex")}${ext}`);
+      },
+    });
+  },
+
+  /**
+   * Path to store on the order for an uploaded multer file
+   * @param {Object} file - Multer file
+   * @returns {string}
+   */
+  toStoredPath(file) {
+    return path.relative(UPLOAD_DIR, file.path);
+  },
+
+  /**
+   * Open a stored file for streaming
+   * @param {string} storedPath - Path relative to UPLOAD_DIR
+   * @returns {fs.ReadStream}
+   */
+  createReadStream(storedPath) {
+    return fs.createReadStream(resolveStoredPath(storedPath));
+  },
+
+  /**
+   * Check whether a stored file still exists
+   * @param {string} storedPath - Path relative to UPLOAD_DIR
+   * @returns {Promise<boolean>}
+   */
+  async exists(storedPath) {
+    try {
+      await fs.promises.access(resolveStoredPath(storedPath));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Delete a stored file, ignoring files that are already gone
+   * @param {string} storedPath - Path relative to UPLOAD_DIR
+   */
+  async remove(storedPath) {
+    try {
+      await fs.promises.unlink(resolveStoredPath(storedPath));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  },
+};
+
+module.exports = localDiskStorage;
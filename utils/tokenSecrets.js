@@ -0,0 +1,28 @@
+/**
+ * Token Secrets
+ * Separate signing keys for each kind of short-lived token, so a token
+ * issued for one purpose can never be replayed as another
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Get the signing secret for a token purpose
+ * Uses the given environment variable if set, otherwise a key derived
+ * from JWT_SECRET that differs from it and from every other purpose
+ * @param {string} purpose - Token purpose, e.g. "2fa-challenge"
+ * @param {string} [envName] - Environment variable overriding the secret
+ * @returns {string}
+ */
+const getTokenSecret = (purpose, envName) => {
+  if (envName && process.env[envName]) return process.env[envName];
+
+  return crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`token-secret:${purpose}`)
+    .digest("hex");
+};
+
+module.exports = {
+  getTokenSecret,
+};
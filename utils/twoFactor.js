@@ -0,0 +1,101 @@
+/**
+ * Two-Factor Authentication
+ * Policy, login challenge tokens and second-factor verification
+ */
+
+const jwt = require("jsonwebtoken");
+const { verifyCode } = require("./totp");
+const { ApiError } = require("./errorHandler");
+const { getTokenSecret } = require("./tokenSecrets");
+
+const CHALLENGE_AUDIENCE = "2fa-challenge";
+
+const getChallengeSecret = () =>
+  getTokenSecret(CHALLENGE_AUDIENCE, "CHALLENGE_TOKEN_SECRET");
+
+/**
+ * Roles that must have 2FA enabled (REQUIRE_2FA_ROLES, comma separated)
+ * @returns {string[]}
+ */
+const getRequiredRoles = () =>
+  (process.env.REQUIRE_2FA_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+/**
+ * Check if policy requires 2FA for this user's role
+ * @param {Object} user - User document
+ * @returns {boolean}
+ */
+const isTwoFactorRequired = (user) => getRequiredRoles().includes(user.role);
+
+/**
+ * Issue a short-lived token proving the first login step passed
+ * @param {Object} user - User document
+ * @param {string} method - Sign-in method ("password" or a provider name)
+ * @returns {string} Challenge token
+ */
+const issueChallengeToken = (user, method = "password") => {
+  return jwt.sign(
+    {
+      id: user._id,
+      tokenVersion: user.tokenVersion ?? 0,
+      method,
+    },
+    getChallengeSecret(),
+    {
+      audience: CHALLENGE_AUDIENCE,
+      expiresIn: "5m",
+    },
+  );
+};
+
+/**
+ * Verify a challenge token
+ * @param {string} challengeToken - Token from issueChallengeToken
+ * @returns {Object} Decoded payload { id, tokenVersion, method }
+ */
+const verifyChallengeToken = (challengeToken) => {
+  try {
+    return jwt.verify(challengeToken, getChallengeSecret(), {
+      audience: CHALLENGE_AUDIENCE,
+    });
+  } catch (error) {
+    throw new ApiError(
+      401,
+      "Login challenge is invalid or has expired. Please log in again.",
+    );
+  }
+};
+
+/**
+ * Check a TOTP code or recovery code against a user
+ * Requires the twoFactor secret fields to be selected; marks the code used
+ * (caller must save the user)
+ * @param {Object} user - User document
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {boolean}
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    return user.useRecoveryCode(recoveryCode);
+  }
+
+  const step = verifyCode(user.twoFactor.secret, code);
+
+  // Each code can only be used once
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+    return false;
+  }
+
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+module.exports = {
+  isTwoFactorRequired,
+  issueChallengeToken,
+  verifyChallengeToken,
+  verifySecondFactor,
+};